@@ -0,0 +1,161 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var EventEmitter = require('events');
+var net = require('net');
+var os = require('os');
+var path = require('path');
+var util = require('util');
+
+// The client side of the agent protocol, see agent.js. It is kept apart so
+// bin/node-trace can talk to an agent without loading, and so patching,
+// anything of its own.
+
+
+// Where the agent of the process pid listens unless told otherwise. This
+// is how `node-trace <pid>` finds it.
+exports.getAgentPath = function(pid) {
+  return path.join(os.tmpdir(), 'node-trace-' + pid + '.sock');
+};
+
+
+// Client side of the agent protocol. Emits 'probe' and 'gc' for the events
+// its subscriptions receive, and 'close' once disconnected.
+function AgentClient(path) {
+  EventEmitter.call(this);
+
+  var self = this;
+  var buffered = '';
+
+  this._requestId = 0;
+  this._callbacks = {};
+  this.socket = net.connect(path);
+  this.socket._udtIgnore = true;
+  this.socket.setEncoding('utf8');
+
+  this.socket.on('connect', function() {
+    self.emit('connect');
+  });
+  this.socket.on('data', function(data) {
+    var lines = (buffered + data).split('\n');
+    buffered = lines.pop();
+    lines.forEach(function(line) {
+      if (!line.trim())
+        return;
+
+      var message;
+      try {
+        message = JSON.parse(line);
+      } catch (e) {
+        return self.emit('error', e);
+      }
+      self._onMessage(message);
+    });
+  });
+  this.socket.on('error', function(er) {
+    self.emit('error', er);
+  });
+  this.socket.on('close', function() {
+    var callbacks = self._callbacks;
+    self._callbacks = {};
+    Object.keys(callbacks).forEach(function(id) {
+      callbacks[id](new Error('Connection closed'));
+    });
+    self.emit('close');
+  });
+}
+util.inherits(AgentClient, EventEmitter);
+
+
+AgentClient.prototype._onMessage = function(message) {
+  if (message.event) {
+    this.emit(message.event, message);
+    return;
+  }
+
+  var cb = this._callbacks[message.id];
+
+  if (!cb)
+    return;
+
+  delete this._callbacks[message.id];
+
+  if (message.error)
+    cb(new Error(message.error));
+  else
+    cb(null, message.result);
+};
+
+
+AgentClient.prototype.request = function(method, params, cb) {
+  var id = ++this._requestId;
+
+  if (cb)
+    this._callbacks[id] = cb;
+
+  this.socket.write(JSON.stringify({
+    id: id,
+    method: method,
+    params: params
+  }) + '\n');
+};
+
+
+AgentClient.prototype.list = function(cb) {
+  this.request('list', {}, cb);
+};
+
+
+AgentClient.prototype.subscribe = function(pattern, cb) {
+  this.request('subscribe', { pattern: pattern }, cb);
+};
+
+
+AgentClient.prototype.subscribeGC = function(cb) {
+  this.request('gc', {}, cb);
+};
+
+
+AgentClient.prototype.unsubscribe = function(subscription, cb) {
+  this.request('unsubscribe', { subscription: subscription }, cb);
+};
+
+
+AgentClient.prototype.getHeapStatistics = function(cb) {
+  this.request('heap', {}, cb);
+};
+
+
+AgentClient.prototype.close = function() {
+  this.socket.end();
+};
+
+
+exports.connect = function(options) {
+  if (util.isString(options))
+    options = { path: options };
+
+  if (!options || !util.isString(options.path))
+    throw new TypeError('options.path must be a string');
+
+  return new AgentClient(options.path);
+};
@@ -0,0 +1,339 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var fs = require('fs');
+var net = require('net');
+var util = require('util');
+var udt = require('./udt');
+var v8 = require('./v8').v8;
+var client = require('./agent-client');
+
+// Expose the udt registry and v8 statistics to other processes over a Unix
+// domain socket. agent-client.js holds the client side, which
+// bin/node-trace is built on.
+//
+// The protocol is newline delimited JSON. Clients send requests of the form
+// { "id": 1, "method": "subscribe", "params": { "pattern": "myapp:*" } }
+// and get back { "id": 1, "result": ... } or { "id": 1, "error": "..." }.
+// Probe firings for a subscription are pushed as
+// { "event": "probe", "subscription": 1, "timestamp": ..., "namespace": ...,
+//   "provider": ..., "probe": ..., "args": [...] }
+//
+// Methods:
+//  - list: the registry, as returned by list().
+//  - subscribe: start streaming firings of the probes matching
+//    params.pattern ('namespace:provider:probe'), returns the id of the
+//    subscription.
+//  - gc: start streaming gc events, pushed as { "event": "gc", ... } with
+//    the before and after statistics and the pause in milliseconds.
+//    Returns the id of the subscription.
+//  - unsubscribe: stop the subscription params.subscription.
+//  - heap: the current v8.getHeapStatistics().
+//
+// Subscriptions are plain udt and gc listeners, so what nobody watches
+// stays as cheap as ever. They are removed when the client disconnects.
+
+// Stop queueing events for a client that has this much still unwritten,
+// rather than buffering without bound. Dropped events are counted on the
+// next one that makes it through.
+var MAX_BUFFERED = 1024 * 1024;
+
+
+function Session(agent, socket) {
+  this.agent = agent;
+  this.socket = socket;
+  this.subscriptions = {};
+  this.dropped = 0;
+  this._pushing = false;
+
+  var self = this;
+  var buffered = '';
+
+  socket.setEncoding('utf8');
+  socket.on('data', function(data) {
+    var lines = (buffered + data).split('\n');
+    buffered = lines.pop();
+    lines.forEach(function(line) {
+      if (line.trim())
+        self._onLine(line);
+    });
+  });
+  socket.on('close', function() {
+    self.close();
+  });
+  // Nothing to do but wait for 'close'.
+  socket.on('error', function() {});
+}
+
+
+Session.prototype._send = function(message) {
+  this._write(JSON.stringify(message));
+};
+
+
+Session.prototype._write = function(line) {
+  if (this.socket.destroyed)
+    return;
+  this.socket.write(line + '\n');
+};
+
+
+Session.prototype._onLine = function(line) {
+  var request;
+
+  try {
+    request = JSON.parse(line);
+  } catch (e) {
+    this._send({ id: null, error: 'Invalid JSON: ' + e.message });
+    return;
+  }
+
+  var methods = this.agent.methods;
+  var method = util.isObject(request) &&
+               util.isString(request.method) &&
+               Object.prototype.hasOwnProperty.call(methods, request.method) &&
+               methods[request.method];
+
+  if (!util.isFunction(method)) {
+    this._send({
+      id: request && request.id,
+      error: util.format('Unknown method %j', request && request.method)
+    });
+    return;
+  }
+
+  try {
+    this._send({ id: request.id, result: method(this, request.params || {}) });
+  } catch (e) {
+    this._send({ id: request.id, error: e.message });
+  }
+};
+
+
+// Send an event, unless the client is too far behind to take it. Probes
+// fired while sending, say by a stream the socket writes through, are
+// counted as dropped rather than sent, which could recurse without end.
+// So are events that do not serialize, such as ones with circular or BigInt
+// arguments: this runs inside the traced code's fire(), which must not
+// throw because of a watcher.
+Session.prototype._push = function(event) {
+  if (this._pushing || this.socket.bufferSize > MAX_BUFFERED) {
+    this.dropped++;
+    return;
+  }
+
+  if (this.dropped)
+    event.dropped = this.dropped;
+
+  this._pushing = true;
+  try {
+    var line = JSON.stringify(event);
+    this.dropped = 0;
+    this._write(line);
+  } catch (e) {
+    this.dropped++;
+  } finally {
+    this._pushing = false;
+  }
+};
+
+
+Session.prototype.subscribe = function(pattern) {
+  if (!util.isString(pattern))
+    throw new TypeError('pattern must be a string');
+
+  var self = this;
+  var id = ++this.agent._subscriptionId;
+
+  function listener(args, info) {
+    self._push({
+      event: 'probe',
+      subscription: id,
+      timestamp: Date.now(),
+      namespace: info.namespace,
+      provider: info.name,
+      probe: info.probe,
+      args: args
+    });
+  }
+
+  udt.on(pattern, listener);
+  this.subscriptions[id] = function() {
+    udt.removeListener(pattern, listener);
+  };
+
+  return id;
+};
+
+
+Session.prototype.subscribeGC = function() {
+  var self = this;
+  var id = ++this.agent._subscriptionId;
+
+  function listener(before, after) {
+    self._push({
+      event: 'gc',
+      subscription: id,
+      timestamp: Date.now(),
+      type: before.type,
+      // gc timestamps are in nanoseconds.
+      pause: (after.timestamp - before.timestamp) / 1e6,
+      before: before,
+      after: after
+    });
+  }
+
+  v8.on('gc', listener);
+  this.subscriptions[id] = function() {
+    v8.removeListener('gc', listener);
+  };
+
+  return id;
+};
+
+
+Session.prototype.unsubscribe = function(id) {
+  var remove = this.subscriptions[id];
+
+  if (!remove)
+    throw new Error(util.format('Unknown subscription %j', id));
+
+  remove();
+  delete this.subscriptions[id];
+};
+
+
+Session.prototype.close = function() {
+  Object.keys(this.subscriptions).forEach(this.unsubscribe, this);
+  this.agent.sessions.splice(this.agent.sessions.indexOf(this), 1);
+};
+
+
+function Agent() {
+  this.sessions = [];
+  this._subscriptionId = 0;
+  this.server = net.createServer(this._onConnection.bind(this));
+  // Keep the agent's traffic out of node:net, see node-net.js.
+  this.server._udtIgnore = true;
+  // The agent alone should not keep the process alive.
+  this.server.unref();
+}
+
+
+Agent.prototype.methods = {
+  list: function(session) {
+    return udt.list();
+  },
+  subscribe: function(session, params) {
+    return session.subscribe(params.pattern);
+  },
+  gc: function(session) {
+    return session.subscribeGC();
+  },
+  unsubscribe: function(session, params) {
+    session.unsubscribe(params.subscription);
+    return true;
+  },
+  heap: function(session) {
+    return v8.getHeapStatistics();
+  }
+};
+
+
+Agent.prototype._onConnection = function(socket) {
+  this.sessions.push(new Session(this, socket));
+};
+
+
+// Listen on path, first removing it if it is a socket left behind by a
+// process that is gone.
+Agent.prototype.listen = function(path, cb) {
+  var server = this.server;
+
+  function onerror(er) {
+    if (er.code !== 'EADDRINUSE')
+      return server.emit('error', er);
+
+    var probe = net.connect(path);
+    probe.on('connect', function() {
+      probe.destroy();
+      server.emit('error', er);
+    });
+    probe.on('error', function() {
+      fs.stat(path, function(statError, stats) {
+        // Never remove anything that is not a socket.
+        if (statError || !stats.isSocket())
+          return server.emit('error', er);
+
+        fs.unlink(path, function() {
+          server.once('error', onerror);
+          server.listen(path);
+        });
+      });
+    });
+  }
+
+  server.once('error', onerror);
+  server.once('listening', function() {
+    server.removeListener('error', onerror);
+  });
+  server.listen(path, cb);
+};
+
+
+Agent.prototype.close = function(cb) {
+  this.sessions.slice().forEach(function(session) {
+    session.socket.destroy();
+    session.close();
+  });
+  this.server.close(cb);
+};
+
+
+// Start an agent listening on options.path, which defaults to
+// getAgentPath(process.pid). Returns the net.Server, which emits
+// 'listening' once clients can connect.
+exports.serve = function(options, cb) {
+  if (util.isFunction(options)) {
+    cb = options;
+    options = {};
+  }
+
+  if (util.isString(options))
+    options = { path: options };
+
+  options = util._extend({ path: client.getAgentPath(process.pid) }, options);
+
+  if (!util.isString(options.path))
+    throw new TypeError('options.path must be a string');
+
+  var agent = new Agent();
+  agent.listen(options.path, cb);
+
+  var server = agent.server;
+  server.agent = agent;
+  return server;
+};
+
+
+exports.getAgentPath = client.getAgentPath;
+exports.connect = client.connect;
@@ -99,7 +99,14 @@ var ASYNC_PROVIDERS = {
   TLS: 1 << 12,
   TTY: 1 << 13,
   UDP: 1 << 14,
-  ZLIB: 1 << 15
+  ZLIB: 1 << 15,
+  // PROMISE is also JavaScript exclusive. It covers callbacks registered
+  // through Promise.prototype.then() (which catch() and finally() call
+  // themselves) and those queued with queueMicrotask().
+  PROMISE: 1 << 16,
+  // EMITTER is JavaScript exclusive as well. It covers listeners added to
+  // EventEmitters that have been passed to bindEmitter().
+  EMITTER: 1 << 17
 };
 
 // Build a named map for all providers that are passed to create().
@@ -112,6 +119,7 @@ for (var i in ASYNC_PROVIDERS)
 exports.createAsyncListener = createAsyncListener;
 exports.addAsyncListener = addAsyncListener;
 exports.removeAsyncListener = removeAsyncListener;
+exports.bindEmitter = bindEmitter;
 exports.ASYNC_PROVIDERS = ASYNC_PROVIDERS;
 
 
@@ -551,6 +559,134 @@ global.setInterval = function setInterval(cb) {
 };
 
 
+// Capture the current context for work queued on the microtask queue, or
+// return null if no AsyncListener is active.
+function createMicrotaskContext() {
+  if (!(asyncFlags[kActiveAsyncQueueLength] > 0))
+    return null;
+
+  var ctx = {};
+  runAsyncQueue(ctx, ASYNC_PROVIDERS.PROMISE);
+  return ctx;
+}
+
+
+// Wrap a callback that will run from the microtask queue so it runs in
+// ctx. Unlike the other wrappers this one has to clean up if the callback
+// throws, because a throwing promise callback only rejects its promise and
+// never reaches errorHandler().
+function wrapMicrotask(cb, ctx) {
+  if (typeof cb !== 'function' || !ctx)
+    return cb;
+
+  return function microtaskWrap() {
+    loadAsyncQueue(ctx);
+    try {
+      return cb.apply(this, arguments);
+    } finally {
+      unloadAsyncQueue(ctx);
+    }
+  };
+}
+
+
+if (typeof Promise === 'function') {
+  var _then = Promise.prototype.then;
+
+  // At most one of the two callbacks runs, so they share a single context,
+  // created once just like for nextTick().
+  Promise.prototype.then = function then(onFulfilled, onRejected) {
+    var ctx = null;
+
+    if (typeof onFulfilled === 'function' || typeof onRejected === 'function')
+      ctx = createMicrotaskContext();
+
+    return _then.call(this,
+                      wrapMicrotask(onFulfilled, ctx),
+                      wrapMicrotask(onRejected, ctx));
+  };
+}
+
+
+if (typeof global.queueMicrotask === 'function') {
+  var _queueMicrotask = global.queueMicrotask;
+
+  global.queueMicrotask = function queueMicrotask(cb) {
+    var ctx = typeof cb === 'function' ? createMicrotaskContext() : null;
+    return _queueMicrotask.call(this, wrapMicrotask(cb, ctx));
+  };
+}
+
+
+// Wrap an EventEmitter listener so it runs in the context it was added in,
+// rather than in whichever context happened to call emit().
+function wrapListener(listener) {
+  // Nothing to capture unless some AsyncListener is active.
+  if (typeof listener !== 'function' ||
+      !(asyncFlags[kActiveAsyncQueueLength] > 0))
+    return listener;
+
+  function listenerWrap() {
+    loadAsyncQueue(listenerWrap);
+    var ret = listener.apply(this, arguments);
+    unloadAsyncQueue(listenerWrap);
+    return ret;
+  }
+  listenerWrap._asyncListener = listener;
+
+  runAsyncQueue(listenerWrap, ASYNC_PROVIDERS.EMITTER);
+
+  return listenerWrap;
+}
+
+
+// Opt an EventEmitter into running each of its listeners in the context
+// active when the listener was added. once() goes through on(), so it is
+// covered as well.
+function bindEmitter(emitter) {
+  if (!emitter || typeof emitter.addListener !== 'function')
+    throw new TypeError('argument should be an EventEmitter');
+
+  if (emitter._asyncBound)
+    return emitter;
+
+  var addListener = emitter.addListener;
+  var on = emitter.on;
+  var removeListener = emitter.removeListener;
+
+  emitter._asyncBound = true;
+
+  emitter.addListener = function(type, listener) {
+    return addListener.call(this, type, wrapListener(listener));
+  };
+
+  emitter.on = function(type, listener) {
+    return on.call(this, type, wrapListener(listener));
+  };
+
+  // Listeners are removed by the function that was passed in, so find the
+  // wrapper that was added for it. The listener may also be the original
+  // behind a once() wrapper.
+  emitter.removeListener = function(type, listener) {
+    var listeners = this.listeners(type);
+    var i, original;
+
+    for (i = listeners.length - 1; i >= 0; i--) {
+      original = listeners[i]._asyncListener;
+      if (original &&
+          (original === listener || original.listener === listener)) {
+        listener = listeners[i];
+        break;
+      }
+    }
+
+    return removeListener.call(this, type, listener);
+  };
+
+  return emitter;
+}
+
+
 /* debug:start */
 // XXX: For debugging. Remove before commit.
 exports.showActiveContext = function() {
@@ -0,0 +1,249 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var udt = require('./udt');
+var asyncListener = require('./async-listener');
+var v8 = require('./v8').v8;
+
+
+// Trace Event timestamps are in microseconds. process.hrtime() and the
+// timestamps on gc events share the same monotonic clock.
+function now() {
+  var t = process.hrtime();
+  return t[0] * 1e6 + t[1] / 1e3;
+}
+
+
+// Collect udt probe firings, AsyncListener callbacks and gc events as
+// Chrome Trace Event Format records, which chrome://tracing and the
+// Perfetto UI can load directly.
+//
+// Probes named <name>-start and <name>-done become "B" and "E" duration
+// events for <name>, any other probe is an instant event. Each async
+// callback becomes a duration event named after its provider, with a flow
+// arrow back to where it was created. GC pauses are "X" complete events.
+function ChromeTrace(options) {
+  if (!(this instanceof ChromeTrace))
+    return new ChromeTrace(options);
+
+  options = options || {};
+
+  this.pid = options.pid === undefined ? process.pid : options.pid;
+  this.tid = options.tid === undefined ? 0 : options.tid;
+  this.processName = options.processName || process.title;
+  this.probes = options.probes === undefined ? '*' : options.probes;
+  this.async = options.async !== false;
+  this.gc = options.gc !== false;
+
+  this.events = [];
+  this.started = false;
+
+  this._flowId = 0;
+  this._onProbe = this._onProbe.bind(this);
+  this._onGC = this._onGC.bind(this);
+  this._asyncListener = null;
+
+  this._addMetadata();
+}
+
+
+ChromeTrace.prototype._addMetadata = function() {
+  this.events.push({
+    name: 'process_name',
+    ph: 'M',
+    pid: this.pid,
+    tid: this.tid,
+    args: { name: this.processName }
+  }, {
+    name: 'thread_name',
+    ph: 'M',
+    pid: this.pid,
+    tid: this.tid,
+    args: { name: 'main' }
+  });
+};
+
+
+ChromeTrace.prototype._push = function(event) {
+  event.pid = this.pid;
+  event.tid = this.tid;
+  this.events.push(event);
+};
+
+
+ChromeTrace.prototype._onProbe = function(args, info) {
+  var name = info.probe;
+  var ph = 'i';
+  var match = /^(.+)-(start|done)$/.exec(name);
+
+  if (match) {
+    name = match[1];
+    ph = match[2] === 'start' ? 'B' : 'E';
+  }
+
+  var event = {
+    name: name,
+    cat: info.namespace + ':' + info.name,
+    ph: ph,
+    ts: now(),
+    args: { args: args }
+  };
+
+  // Instant events are scoped to the thread they happened on.
+  if (ph === 'i')
+    event.s = 't';
+
+  this._push(event);
+};
+
+
+ChromeTrace.prototype._onGC = function(before, after) {
+  this._push({
+    name: 'GC',
+    cat: 'v8',
+    ph: 'X',
+    ts: before.timestamp / 1e3,
+    dur: (after.timestamp - before.timestamp) / 1e3,
+    args: {
+      type: before.type,
+      used_heap_size_before: before.used_heap_size,
+      used_heap_size_after: after.used_heap_size
+    }
+  });
+};
+
+
+ChromeTrace.prototype._createAsyncListener = function() {
+  var self = this;
+
+  return asyncListener.createAsyncListener({
+    create: function(data, provider) {
+      var flow = { id: ++self._flowId, provider: provider, bound: false };
+      self._push({
+        name: provider,
+        cat: 'async',
+        ph: 's',
+        id: flow.id,
+        ts: now()
+      });
+      return flow;
+    },
+    before: function(ctx, flow) {
+      var ts = now();
+      self._push({
+        name: flow.provider,
+        cat: 'async',
+        ph: 'B',
+        ts: ts
+      });
+      // Only the first callback ends the flow, repeating timers and the
+      // like just show up as further slices.
+      if (!flow.bound) {
+        flow.bound = true;
+        self._push({
+          name: flow.provider,
+          cat: 'async',
+          ph: 'f',
+          bp: 'e',
+          id: flow.id,
+          ts: ts
+        });
+      }
+    },
+    after: function(ctx, flow) {
+      self._push({
+        name: flow.provider,
+        cat: 'async',
+        ph: 'E',
+        ts: now()
+      });
+    }
+  });
+};
+
+
+ChromeTrace.prototype.start = function() {
+  if (this.started)
+    return this;
+
+  this.started = true;
+
+  if (this.probes)
+    udt.on(this.probes, this._onProbe);
+
+  if (this.gc)
+    v8.on('gc', this._onGC);
+
+  // Only asynchronous work created from here on will be traced.
+  if (this.async) {
+    if (!this._asyncListener)
+      this._asyncListener = this._createAsyncListener();
+    asyncListener.addAsyncListener(this._asyncListener);
+  }
+
+  return this;
+};
+
+
+ChromeTrace.prototype.stop = function() {
+  if (!this.started)
+    return this;
+
+  this.started = false;
+
+  if (this.probes)
+    udt.removeListener(this.probes, this._onProbe);
+
+  if (this.gc)
+    v8.removeListener('gc', this._onGC);
+
+  if (this._asyncListener)
+    asyncListener.removeAsyncListener(this._asyncListener);
+
+  return this;
+};
+
+
+// Drop everything collected so far, keeping the metadata records.
+ChromeTrace.prototype.clear = function() {
+  this.events = [];
+  this._addMetadata();
+};
+
+
+ChromeTrace.prototype.toJSON = function() {
+  return {
+    traceEvents: this.events,
+    displayTimeUnit: 'ms'
+  };
+};
+
+
+// Write the trace as a single JSON document, ready to be saved to a file
+// and opened in chrome://tracing or https://ui.perfetto.dev.
+ChromeTrace.prototype.write = function(stream, cb) {
+  return stream.write(JSON.stringify(this), cb);
+};
+
+
+exports.createChromeTrace = function(options) {
+  return new ChromeTrace(options);
+};
@@ -0,0 +1,187 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var util = require('util');
+var asyncListener = require('./async-listener');
+
+// All namespaces created through createNamespace(), by name.
+var namespaces = {};
+
+
+// A Namespace holds values that follow the asynchronous call chain they
+// were set in, the same way continuation-local-storage does. Contexts are
+// plain objects that inherit from the context active when they were
+// created, so nested run() calls see the values of their parents.
+function Namespace(name) {
+  this.name = name;
+  // The context (if any) values are currently read from and written to.
+  this.active = null;
+  // Contexts that were active before the ones entered after them.
+  this._set = [];
+  this._listener = null;
+}
+
+
+Namespace.prototype.set = function(key, value) {
+  if (!this.active) {
+    throw new Error(util.format(
+        'No context available in namespace %s, use run() or bind() first',
+        this.name));
+  }
+
+  this.active[key] = value;
+  return value;
+};
+
+
+Namespace.prototype.get = function(key) {
+  if (!this.active)
+    return undefined;
+
+  return this.active[key];
+};
+
+
+Namespace.prototype.createContext = function() {
+  return Object.create(this.active);
+};
+
+
+// Run fn synchronously inside a new context, which is passed to fn and
+// returned.
+Namespace.prototype.run = function(fn) {
+  var context = this.createContext();
+
+  this.enter(context);
+  try {
+    fn(context);
+  } finally {
+    this.exit(context);
+  }
+
+  return context;
+};
+
+
+// Return a function that always runs fn in context, which defaults to the
+// context active right now.
+Namespace.prototype.bind = function(fn, context) {
+  if (!util.isFunction(fn))
+    throw new TypeError('fn must be a function');
+
+  if (!context)
+    context = this.active || this.createContext();
+
+  var self = this;
+
+  return function() {
+    self.enter(context);
+    try {
+      return fn.apply(this, arguments);
+    } finally {
+      self.exit(context);
+    }
+  };
+};
+
+
+Namespace.prototype.enter = function(context) {
+  this._set.push(this.active);
+  this.active = context;
+};
+
+
+Namespace.prototype.exit = function(context) {
+  if (this.active === context) {
+    this.active = this._set.pop() || null;
+    return;
+  }
+
+  // Contexts can be exited out of order, e.g. when an error skips an
+  // after() callback. Only unwind the one being exited.
+  var index = this._set.lastIndexOf(context);
+
+  if (index > 0)
+    this._set.splice(index, 1);
+};
+
+
+// Run every listener added to emitter from now on in the context that was
+// active when it was added.
+Namespace.prototype.bindEmitter = function(emitter) {
+  asyncListener.bindEmitter(emitter);
+};
+
+
+function createListener(namespace) {
+  return asyncListener.addAsyncListener({
+    create: function() {
+      return namespace.active;
+    },
+    before: function(ctx, context) {
+      if (context)
+        namespace.enter(context);
+    },
+    after: function(ctx, context) {
+      if (context)
+        namespace.exit(context);
+    },
+    error: function(ctx, context) {
+      if (context)
+        namespace.exit(context);
+    }
+  });
+}
+
+
+// Namespaces should be created when the application starts, as only
+// asynchronous work started after that will carry their contexts along.
+exports.createNamespace = function(name) {
+  if (!util.isString(name))
+    throw new TypeError('name must be a string');
+
+  if (namespaces[name]) {
+    throw new Error(util.format('Namespace %s already exists', name));
+  }
+
+  var namespace = new Namespace(name);
+  namespace._listener = createListener(namespace);
+  namespaces[name] = namespace;
+
+  return namespace;
+};
+
+
+exports.getNamespace = function(name) {
+  return namespaces[name];
+};
+
+
+exports.destroyNamespace = function(name) {
+  var namespace = namespaces[name];
+
+  if (!namespace)
+    return;
+
+  asyncListener.removeAsyncListener(namespace._listener);
+  delete namespaces[name];
+};
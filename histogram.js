@@ -0,0 +1,151 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+// Return the largest power of two that is not above value.
+function powerOfTwoBelow(value) {
+  var power = Math.pow(2, Math.floor(Math.log(value) / Math.LN2));
+
+  // Math.log() can come out a hair short for exact powers of two.
+  if (power * 2 <= value)
+    power *= 2;
+
+  return power;
+}
+
+
+// A log-linear histogram in the style of HdrHistogram. Values below
+// subBuckets are counted exactly, above that each power of two is split
+// into subBuckets equal parts. That keeps the error of any reported value
+// under 1 / subBuckets while the memory used only grows with the log of
+// the largest value recorded.
+function Histogram(options) {
+  if (!(this instanceof Histogram))
+    return new Histogram(options);
+
+  options = options || {};
+
+  var subBuckets = options.subBuckets === undefined ? 64 : options.subBuckets;
+
+  // Must be a power of two so bucket boundaries fall on whole numbers.
+  if (subBuckets < 1 || (subBuckets & (subBuckets - 1)) !== 0)
+    throw new RangeError('subBuckets must be a power of two');
+
+  this.subBuckets = subBuckets;
+  this.reset();
+}
+
+
+Histogram.prototype.reset = function() {
+  this.count = 0;
+  this.sum = 0;
+  this.min = 0;
+  this.max = 0;
+  // Counts keyed by the lowest value that falls into the bucket.
+  this._counts = {};
+};
+
+
+// Return the lowest value of the bucket value falls into.
+Histogram.prototype._bucket = function(value) {
+  if (value < this.subBuckets)
+    return Math.floor(value);
+
+  var base = powerOfTwoBelow(value);
+  var width = base / this.subBuckets;
+
+  return base + Math.floor((value - base) / width) * width;
+};
+
+
+Histogram.prototype._bucketWidth = function(bucket) {
+  if (bucket < this.subBuckets)
+    return 1;
+
+  return powerOfTwoBelow(bucket) / this.subBuckets;
+};
+
+
+Histogram.prototype.record = function(value) {
+  if (typeof value !== 'number' || !(value >= 0) || value === Infinity)
+    throw new RangeError('value must be a finite, non-negative number');
+
+  var bucket = this._bucket(value);
+
+  this._counts[bucket] = (this._counts[bucket] || 0) + 1;
+
+  if (this.count === 0 || value < this.min)
+    this.min = value;
+  if (value > this.max)
+    this.max = value;
+
+  this.count++;
+  this.sum += value;
+};
+
+
+Histogram.prototype.mean = function() {
+  return this.count === 0 ? 0 : this.sum / this.count;
+};
+
+
+// Return the value below which p percent of the recorded values fall. As
+// with HdrHistogram this is the highest value equivalent to the one found,
+// limited to the largest value actually recorded.
+Histogram.prototype.percentile = function(p) {
+  if (this.count === 0)
+    return 0;
+
+  if (p <= 0)
+    return this.min;
+
+  var target = Math.ceil(Math.min(p, 100) / 100 * this.count);
+  var buckets = Object.keys(this._counts).map(Number).sort(function(a, b) {
+    return a - b;
+  });
+  var seen = 0;
+
+  for (var i = 0; i < buckets.length; i++) {
+    seen += this._counts[buckets[i]];
+    if (seen >= target) {
+      return Math.min(buckets[i] + this._bucketWidth(buckets[i]) - 1,
+                      this.max);
+    }
+  }
+
+  return this.max;
+};
+
+
+Histogram.prototype.toJSON = function() {
+  return {
+    count: this.count,
+    min: this.min,
+    max: this.max,
+    mean: this.mean(),
+    p50: this.percentile(50),
+    p90: this.percentile(90),
+    p99: this.percentile(99)
+  };
+};
+
+
+exports.Histogram = Histogram;
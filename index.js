@@ -24,3 +24,12 @@ var util = require('util');
 util._extend(exports, require('./udt'));
 util._extend(exports, require('./async-listener'));
 util._extend(exports, require('./v8'));
+util._extend(exports, require('./recorder'));
+util._extend(exports, require('./latency'));
+util._extend(exports, require('./chrome-trace'));
+util._extend(exports, require('./context'));
+require('./node-fs');
+require('./node-net');
+require('./node-http');
+util._extend(exports, require('./trace-context'));
+util._extend(exports, require('./agent'));
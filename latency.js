@@ -0,0 +1,222 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var util = require('util');
+var udt = require('./udt');
+var Histogram = require('./histogram').Histogram;
+
+
+// Time how long it takes from one probe to another, e.g. from query-start
+// to query-done, into histograms. Firings of the two are paired by the
+// key options.key takes from their arguments, a request id say, which
+// defaults to the first argument.
+//
+// Pairs are named after the start probe, minus its -start suffix if the
+// done probe is named to match, and after both probes otherwise. With
+// options.label, a function of the start and done arguments, every label
+// gets a histogram of its own as well. Times are in microseconds.
+function LatencyTracker(options) {
+  if (!(this instanceof LatencyTracker))
+    return new LatencyTracker(options);
+
+  options = options || {};
+
+  if (!util.isString(options.start) || !util.isString(options.done))
+    throw new TypeError('options.start and options.done must be patterns');
+
+  if (options.key !== undefined && !util.isFunction(options.key))
+    throw new TypeError('options.key must be a function');
+
+  if (options.label !== undefined && !util.isFunction(options.label))
+    throw new TypeError('options.label must be a function');
+
+  var maxPending = options.maxPending === undefined ?
+      10000 : options.maxPending;
+
+  if (!util.isNumber(maxPending) || maxPending < 1 || maxPending % 1 !== 0)
+    throw new TypeError('maxPending must be a positive integer');
+
+  this.start = options.start;
+  this.done = options.done;
+  this.maxPending = maxPending;
+  this._key = options.key || firstArgument;
+  this._label = options.label || null;
+
+  this._onstart = this._onstart.bind(this);
+  this._ondone = this._ondone.bind(this);
+
+  this.reset();
+
+  udt.on(this.start, this._onstart);
+  udt.on(this.done, this._ondone);
+}
+
+
+function firstArgument(args) {
+  return args[0];
+}
+
+
+// Pending starts are kept per provider, so the same key from two
+// providers never pairs up.
+function pendingKey(info, key) {
+  return util.format('%s:%s:%s', info.namespace, info.name, key);
+}
+
+
+function pairName(info, start, done) {
+  var match = /^(.+)-start$/.exec(start);
+
+  if (match && done === match[1] + '-done')
+    start = match[1];
+  else
+    start = start + '/' + done;
+
+  return util.format('%s:%s:%s', info.namespace, info.name, start);
+}
+
+
+LatencyTracker.prototype.reset = function() {
+  this.histograms = {};
+  this._pending = {};
+  this.pending = 0;
+  // Starts ignored because too many were pending.
+  this.overflow = 0;
+  // Dones without a pending start.
+  this.unmatched = 0;
+};
+
+
+LatencyTracker.prototype._onstart = function(args, info) {
+  var key = pendingKey(info, this._key(args, info));
+
+  if (!this._pending.hasOwnProperty(key)) {
+    if (this.pending >= this.maxPending) {
+      this.overflow++;
+      return;
+    }
+    this.pending++;
+  }
+
+  this._pending[key] = {
+    time: process.hrtime(),
+    probe: info.probe,
+    args: args
+  };
+};
+
+
+LatencyTracker.prototype._ondone = function(args, info) {
+  var key = pendingKey(info, this._key(args, info));
+  if (!this._pending.hasOwnProperty(key)) {
+    this.unmatched++;
+    return;
+  }
+
+  var start = this._pending[key];
+
+  delete this._pending[key];
+  this.pending--;
+
+  var elapsed = process.hrtime(start.time);
+  var latency = elapsed[0] * 1e6 + elapsed[1] / 1e3;
+  var name = pairName(info, start.probe, info.probe);
+  var entry = this.histograms[name];
+
+  if (!entry) {
+    entry = this.histograms[name] = {
+      histogram: new Histogram(),
+      labels: {}
+    };
+  }
+
+  entry.histogram.record(latency);
+
+  if (!this._label)
+    return;
+
+  var label = String(this._label(start.args, args));
+  var histogram = entry.labels[label];
+
+  if (!histogram)
+    histogram = entry.labels[label] = new Histogram();
+
+  histogram.record(latency);
+};
+
+
+// Return the histogram of the pair name, or of one of its labels.
+LatencyTracker.prototype.getHistogram = function(name, label) {
+  var entry = this.histograms[name];
+
+  if (!entry)
+    return null;
+
+  if (label === undefined)
+    return entry.histogram;
+
+  return entry.labels[label] || null;
+};
+
+
+// Return the latency below which p percent of the pair's timings fall, or
+// null if there are none.
+LatencyTracker.prototype.percentile = function(name, p, label) {
+  var histogram = this.getHistogram(name, label);
+  return histogram ? histogram.percentile(p) : null;
+};
+
+
+LatencyTracker.prototype.toJSON = function() {
+  var histograms = this.histograms;
+  var ret = {};
+
+  Object.keys(histograms).forEach(function(name) {
+    var entry = histograms[name];
+    var stats = ret[name] = entry.histogram.toJSON();
+    var labels = Object.keys(entry.labels);
+
+    if (labels.length === 0)
+      return;
+
+    stats.labels = {};
+    labels.forEach(function(label) {
+      stats.labels[label] = entry.labels[label].toJSON();
+    });
+  });
+
+  return ret;
+};
+
+
+// Stop listening. The histograms are kept.
+LatencyTracker.prototype.close = function() {
+  udt.removeListener(this.start, this._onstart);
+  udt.removeListener(this.done, this._ondone);
+  this._pending = {};
+  this.pending = 0;
+};
+
+
+exports.createLatencyTracker = function(options) {
+  return new LatencyTracker(options);
+};
@@ -0,0 +1,159 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var fs = require('fs');
+var udt = require('./udt');
+
+// The node:fs provider. Each of open, read, write and close has a start
+// and a done probe. Start probes get the path, file descriptor (-1 for
+// open) and the number of bytes asked for. Done probes get the path, file
+// descriptor, bytes actually read or written, latency in microseconds and
+// the error message, empty on success.
+//
+// Only the asynchronous functions are traced, and only while the probes
+// are enabled. Paths for reads and writes are known for descriptors opened
+// through fs.open() while tracing.
+var provider = udt._createStaticProvider('fs');
+
+var START = ['char *', 'int32', 'int'];
+var DONE = ['char *', 'int32', 'int', 'int', 'char *'];
+
+// Paths of the descriptors opened through fs.open(), by descriptor.
+var paths = {};
+
+
+function bufferBytes(args) {
+  var data = args[1];
+
+  if (Buffer.isBuffer(data))
+    return typeof args[3] === 'number' ? args[3] : data.length;
+
+  var encoding = typeof args[3] === 'string' ? args[3] : args[2];
+  return Buffer.byteLength(String(data),
+                           typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+
+// Describe a call as [path, fd, bytes requested].
+var describe = {
+  open: function(args) {
+    return [String(args[0]), -1, 0];
+  },
+  read: function(args) {
+    var length = typeof args[3] === 'number' ? args[3] : 0;
+    return [paths[args[0]] || '', args[0], length];
+  },
+  write: function(args) {
+    return [paths[args[0]] || '', args[0], bufferBytes(args)];
+  },
+  close: function(args) {
+    return [paths[args[0]] || '', args[0], 0];
+  }
+};
+
+
+// Give wrapper everything original carries beyond being a function, like
+// the symbols util.promisify() looks for.
+function copyProperties(wrapper, original) {
+  var skip = ['length', 'name', 'prototype', 'arguments', 'caller'];
+  var keys = Object.getOwnPropertyNames(original).filter(function(key) {
+    return skip.indexOf(key) === -1;
+  }).concat(Object.getOwnPropertySymbols(original));
+
+  keys.forEach(function(key) {
+    Object.defineProperty(wrapper, key,
+                          Object.getOwnPropertyDescriptor(original, key));
+  });
+}
+
+
+function instrument(op) {
+  var original = fs[op];
+  var startProbe = provider.addProbe(op + '-start', START);
+  var doneProbe = provider.addProbe(op + '-done', DONE);
+
+  fs[op] = function() {
+    var last = arguments.length - 1;
+    var cb = arguments[last];
+
+    // Nothing to time without a callback, let fs deal with it. With the
+    // probes disabled, just forget the paths of closed descriptors.
+    if (typeof cb !== 'function' ||
+        !(startProbe.isEnabled() || doneProbe.isEnabled())) {
+      if (op === 'close')
+        delete paths[arguments[0]];
+      return original.apply(this, arguments);
+    }
+
+    var call = describe[op](arguments);
+    var start = process.hrtime();
+
+    startProbe.fire(function() {
+      return call;
+    });
+
+    arguments[last] = function(er, result) {
+      var fd = call[1];
+      var bytes = 0;
+
+      if (!er) {
+        if (op === 'open') {
+          fd = result;
+          paths[fd] = call[0];
+        } else if (op === 'close') {
+          delete paths[fd];
+        } else {
+          bytes = result;
+        }
+      }
+
+      doneProbe.fire(function() {
+        var elapsed = process.hrtime(start);
+        return [call[0],
+                fd,
+                bytes,
+                elapsed[0] * 1e6 + Math.round(elapsed[1] / 1e3),
+                er ? er.message : ''];
+      });
+
+      return cb.apply(this, arguments);
+    };
+
+    return original.apply(this, arguments);
+  };
+
+  copyProperties(fs[op], original);
+}
+
+['open', 'read', 'write', 'close'].forEach(instrument);
+
+
+// Synchronous calls are not traced, but descriptors closed with closeSync()
+// must not keep their paths for whatever is opened on them next.
+var closeSync = fs.closeSync;
+
+fs.closeSync = function(fd) {
+  delete paths[fd];
+  return closeSync.apply(this, arguments);
+};
+
+copyProperties(fs.closeSync, closeSync);
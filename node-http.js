@@ -0,0 +1,172 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var http = require('http');
+var net = require('net');
+var udt = require('./udt');
+
+// The node:http provider, modelled on the classic DTrace node provider.
+// Every probe gets the method and URL of the request, the remote address
+// and port and the socket's file descriptor (-1 where there is none), in
+// that order. The response probes add the status code after the URL, and
+// socket-error starts with the error message instead.
+var provider = udt._createStaticProvider('http');
+
+var REQUEST = ['char *', 'char *', 'char *', 'int32', 'int32'];
+var RESPONSE = ['char *', 'char *', 'int32', 'char *', 'int32', 'int32'];
+
+provider.addProbe('server-request-start', REQUEST);
+provider.addProbe('server-response-done', RESPONSE);
+provider.addProbe('client-request-start', REQUEST);
+provider.addProbe('client-response', RESPONSE);
+provider.addProbe('socket-error', ['char *', 'char *', 'int32', 'int32']);
+
+
+function getFd(socket) {
+  var handle = socket && socket._handle;
+  return handle && typeof handle.fd === 'number' ? handle.fd : -1;
+}
+
+
+function getRemote(socket) {
+  return [socket && socket.remoteAddress || '',
+          socket && socket.remotePort || 0];
+}
+
+
+// Hooking emit() rather than adding listeners keeps requests from behaving
+// any differently, e.g. an 'error' listener would swallow the error.
+http.Server.prototype.emit = function(type, req, res) {
+  if (type === 'request') {
+    provider.fire('server-request-start', function() {
+      var remote = getRemote(req.socket);
+      return [req.method, req.url, remote[0], remote[1], getFd(req.socket)];
+    });
+  } else if (type === 'clientError') {
+    // Emitted as (er, socket).
+    provider.fire('socket-error', function() {
+      var remote = getRemote(res);
+      return [req.message, remote[0], remote[1], getFd(res)];
+    });
+  }
+
+  // Look this up on each call so hooks added to net.Server later, like
+  // those of node:net, still run for http servers.
+  return net.Server.prototype.emit.apply(this, arguments);
+};
+
+
+var _responseEmit = http.ServerResponse.prototype.emit;
+
+http.ServerResponse.prototype.emit = function(type) {
+  if (type === 'finish') {
+    var res = this;
+    provider.fire('server-response-done', function() {
+      var req = res.req || {};
+      var socket = res.socket || res.connection;
+      var remote = getRemote(socket);
+      return [req.method,
+              req.url,
+              res.statusCode,
+              remote[0],
+              remote[1],
+              getFd(socket)];
+    });
+  }
+
+  return _responseEmit.apply(this, arguments);
+};
+
+
+function clientUrl(req) {
+  return (req.getHeader('host') || '') + req.path;
+}
+
+
+// Not all versions of http.get() go through the exported http.request(),
+// so route it there. That also covers anything wrapping http.request()
+// after this module.
+http.get = function get(options, cb) {
+  var req = http.request.apply(this, arguments);
+  req.end();
+  return req;
+};
+
+
+var _clientEmit = http.ClientRequest.prototype.emit;
+
+// client-request-start waits for the request's socket to connect, so the
+// remote address, port and descriptor are known. Requests that never get
+// that far only fire socket-error.
+function fireClientStart(req) {
+  provider.fire('client-request-start', function() {
+    var remote = getRemote(req.socket);
+    return [req.method,
+            clientUrl(req),
+            remote[0],
+            remote[1],
+            getFd(req.socket)];
+  });
+}
+
+
+// Whether socket has yet to connect. Sockets only have connecting from
+// node 6.1, before that it was _connecting. Without a handle the socket is
+// still waiting for its address to be looked up.
+function isConnecting(socket) {
+  if (!socket._handle)
+    return true;
+  return 'connecting' in socket ? socket.connecting : !!socket._connecting;
+}
+
+
+http.ClientRequest.prototype.emit = function(type, arg) {
+  var req = this;
+
+  if (type === 'socket') {
+    if (isConnecting(arg)) {
+      arg.once('connect', function() {
+        fireClientStart(req);
+      });
+    } else {
+      // A kept alive socket, already connected.
+      fireClientStart(req);
+    }
+  } else if (type === 'response') {
+    provider.fire('client-response', function() {
+      var remote = getRemote(req.socket);
+      return [req.method,
+              clientUrl(req),
+              arg.statusCode,
+              remote[0],
+              remote[1],
+              getFd(req.socket)];
+    });
+  } else if (type === 'error') {
+    provider.fire('socket-error', function() {
+      var remote = getRemote(req.socket);
+      return [arg && arg.message, remote[0], remote[1], getFd(req.socket)];
+    });
+  }
+
+  return _clientEmit.apply(this, arguments);
+};
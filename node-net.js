@@ -0,0 +1,111 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var net = require('net');
+var udt = require('./udt');
+
+// The node:net provider. All probes get the remote address and port and
+// the socket's file descriptor (-1 where there is none). data-in and
+// data-out add the number of bytes, close adds the totals read and
+// written.
+var provider = udt._createStaticProvider('net');
+
+var SOCKET = ['char *', 'int32', 'int32'];
+var DATA = ['char *', 'int32', 'int32', 'int'];
+
+provider.addProbe('connect', SOCKET);
+provider.addProbe('accept', SOCKET);
+provider.addProbe('data-in', DATA);
+provider.addProbe('data-out', DATA);
+provider.addProbe('close', ['char *', 'int32', 'int32', 'int', 'int']);
+
+
+// Sockets with _udtIgnore set are left alone. The agent marks its own, as
+// a subscription to node:net would otherwise be fed by the very writes
+// that deliver it. Servers pass the mark on to the sockets they accept.
+function describe(socket) {
+  var handle = socket._handle;
+  return [socket.remoteAddress || '',
+          socket.remotePort || 0,
+          handle && typeof handle.fd === 'number' ? handle.fd : -1];
+}
+
+
+var _serverEmit = net.Server.prototype.emit;
+
+net.Server.prototype.emit = function(type, socket) {
+  if (type === 'connection' && this._udtIgnore) {
+    socket._udtIgnore = true;
+  } else if (type === 'connection') {
+    provider.fire('accept', function() {
+      return describe(socket);
+    });
+  }
+
+  return _serverEmit.apply(this, arguments);
+};
+
+
+var _socketEmit = net.Socket.prototype.emit;
+
+function fireSocketEvent(socket, type, data) {
+  if (type === 'data') {
+    provider.fire('data-in', function() {
+      return describe(socket).concat(data.length);
+    });
+  } else if (type === 'connect') {
+    provider.fire('connect', function() {
+      return describe(socket);
+    });
+  } else if (type === 'close') {
+    provider.fire('close', function() {
+      return describe(socket).concat(socket.bytesRead, socket.bytesWritten);
+    });
+  }
+}
+
+net.Socket.prototype.emit = function(type, data) {
+  if (!this._udtIgnore)
+    fireSocketEvent(this, type, data);
+
+  return _socketEmit.apply(this, arguments);
+};
+
+
+var _write = net.Socket.prototype.write;
+
+net.Socket.prototype.write = function(data, encoding) {
+  var socket = this;
+
+  if (this._udtIgnore)
+    return _write.apply(this, arguments);
+
+  provider.fire('data-out', function() {
+    var bytes = Buffer.isBuffer(data) ?
+        data.length :
+        Buffer.byteLength(String(data),
+                          typeof encoding === 'string' ? encoding : 'utf8');
+    return describe(socket).concat(bytes);
+  });
+
+  return _write.apply(this, arguments);
+};
@@ -0,0 +1,123 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var util = require('util');
+var udt = require('./udt');
+
+
+// Keep the most recent udt probe firings in a fixed size circular buffer,
+// so they can be dumped after the fact without a tracer attached.
+function Recorder(options) {
+  if (!(this instanceof Recorder))
+    return new Recorder(options);
+
+  options = options || {};
+
+  var size = options.size === undefined ? 1000 : options.size;
+
+  if (!util.isNumber(size) || size < 1 || size % 1 !== 0)
+    throw new TypeError('size must be a positive integer');
+
+  var filter = options.filter === undefined ? '*' : options.filter;
+
+  this.size = size;
+  this._buffer = new Array(size);
+  this._start = 0;
+  this._length = 0;
+
+  // A function filter sees every firing, a pattern is handed to the udt
+  // listener cache so unmatched probes never reach the recorder at all.
+  if (util.isFunction(filter)) {
+    this._filter = filter;
+    this._pattern = '*';
+  } else {
+    this._filter = null;
+    this._pattern = filter;
+  }
+
+  this._listener = this._record.bind(this);
+  udt.on(this._pattern, this._listener);
+}
+
+
+Recorder.prototype._record = function(args, info) {
+  if (this._filter && !this._filter(args, info))
+    return;
+
+  var event = {
+    timestamp: Date.now(),
+    namespace: info.namespace,
+    provider: info.name,
+    probe: info.probe,
+    args: args
+  };
+
+  if (this._length < this.size) {
+    this._buffer[(this._start + this._length) % this.size] = event;
+    this._length++;
+  } else {
+    // Full, so overwrite the oldest event.
+    this._buffer[this._start] = event;
+    this._start = (this._start + 1) % this.size;
+  }
+};
+
+
+// Return the recorded events, oldest first.
+Recorder.prototype.snapshot = function() {
+  var ret = new Array(this._length);
+
+  for (var i = 0; i < this._length; i++)
+    ret[i] = this._buffer[(this._start + i) % this.size];
+
+  return ret;
+};
+
+
+Recorder.prototype.clear = function() {
+  this._buffer = new Array(this.size);
+  this._start = 0;
+  this._length = 0;
+};
+
+
+// Write the recorded events to stream as newline delimited JSON.
+Recorder.prototype.dump = function(stream) {
+  stream = stream || process.stderr;
+
+  this.snapshot().forEach(function(event) {
+    stream.write(JSON.stringify(event) + '\n');
+  });
+
+  return stream;
+};
+
+
+// Stop recording. Events already in the buffer are kept.
+Recorder.prototype.close = function() {
+  udt.removeListener(this._pattern, this._listener);
+};
+
+
+exports.createRecorder = function(options) {
+  return new Recorder(options);
+};
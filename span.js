@@ -0,0 +1,180 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var crypto = require('crypto');
+var util = require('util');
+
+// Carries the active span along the asynchronous call chain, so spans
+// created in callbacks become children of the one that scheduled them.
+// Created by enable(), not on first use: a namespace created inside a
+// callback only follows work started from that callback. context.js is
+// only loaded then too, as loading it patches nextTick, timers and
+// promises for async-listener.js.
+var namespace = null;
+
+function getNamespace() {
+  if (!namespace) {
+    throw new Error('Spans are not enabled, ' +
+                    'call enableSpans() when the application starts');
+  }
+  return namespace;
+}
+
+var START_SIGNATURE = ['char *', 'char *', 'char *', 'json'];
+var DONE_SIGNATURE = ['char *', 'char *', 'char *', 'int', 'json'];
+
+
+// Trace flag marking a trace as sampled, as in W3C Trace Context.
+var FLAG_SAMPLED = 0x01;
+
+
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+
+// Run fn with span active, span being anything with the traceId, id,
+// parentId, traceFlags and traceState of a Span.
+function runWithSpan(span, fn) {
+  var ns = getNamespace();
+  var ret;
+
+  ns.run(function() {
+    ns.set('span', span);
+    ret = fn(span);
+  });
+
+  return ret;
+}
+
+
+// Start carrying the active span along. Call it when the application
+// starts, before any of the callbacks spans should be followed through.
+function enable() {
+  if (!namespace)
+    namespace = require('./context').createNamespace('tracing:span');
+}
+
+
+function isEnabled() {
+  return namespace !== null;
+}
+
+
+// Add the probes of the span named name to provider.
+function addProbes(provider, name) {
+  return {
+    start: provider.addProbe(name + '-start', START_SIGNATURE),
+    done: provider.addProbe(name + '-done', DONE_SIGNATURE)
+  };
+}
+
+
+// A span is a pair of probes on its provider: <name>-start fires when the
+// span is created and <name>-done when it ends. Both are passed the trace
+// id, span id and parent span id (empty for a root span) followed by the
+// attributes, done also gets the duration in microseconds first.
+//
+// The first span of a name adds its probes. DTrace providers cannot add
+// them once enabled, so add their spans with addSpan() before enable().
+function Span(provider, name, attrs) {
+  if (!(this instanceof Span))
+    return new Span(provider, name, attrs);
+
+  var probes = provider.addSpan(name);
+  var parent = exports.getCurrentSpan();
+
+  this.provider = provider;
+  this.name = name;
+  this.attributes = attrs || {};
+  this.traceId = parent ? parent.traceId : randomId(16);
+  this.id = randomId(8);
+  this.parentId = parent ? parent.id : null;
+  // New traces are always sampled, children follow their parent.
+  this.traceFlags = parent ? parent.traceFlags : FLAG_SAMPLED;
+  this.traceState = parent ? parent.traceState : '';
+  this.duration = null;
+
+  this._startProbe = probes.start;
+  this._doneProbe = probes.done;
+  this._start = process.hrtime();
+
+  var self = this;
+  this._startProbe.fire(function() {
+    return [self.traceId, self.id, self.parentId || '', self.attributes];
+  });
+}
+
+
+// End the span, firing its done probe. attrs are merged into the
+// attributes given when the span was created.
+Span.prototype.end = function(attrs) {
+  if (this.duration !== null)
+    return;
+
+  var elapsed = process.hrtime(this._start);
+  this.duration = elapsed[0] * 1e6 + Math.round(elapsed[1] / 1e3);
+
+  if (attrs)
+    util._extend(this.attributes, attrs);
+
+  var self = this;
+  this._doneProbe.fire(function() {
+    return [self.traceId,
+            self.id,
+            self.parentId || '',
+            self.duration,
+            self.attributes];
+  });
+};
+
+
+// Run fn with this span active. Spans created within fn, or in any of the
+// callbacks it schedules, are its children.
+Span.prototype.run = function(fn) {
+  return runWithSpan(this, fn);
+};
+
+
+// Return a function that runs fn with this span active.
+Span.prototype.bind = function(fn) {
+  var ns = getNamespace();
+  var ctx = ns.createContext();
+  ctx.span = this;
+  return ns.bind(fn, ctx);
+};
+
+
+exports.Span = Span;
+exports.FLAG_SAMPLED = FLAG_SAMPLED;
+exports.randomId = randomId;
+exports.runWithSpan = runWithSpan;
+exports.enable = enable;
+exports.isEnabled = isEnabled;
+exports.addProbes = addProbes;
+
+
+exports.getCurrentSpan = function() {
+  if (!namespace)
+    return null;
+  return namespace.get('span') || null;
+};
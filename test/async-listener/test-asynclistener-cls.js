@@ -0,0 +1,116 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var EventEmitter = require('events');
+var tracing = require('../../index.js');
+
+var ns = tracing.createNamespace('test');
+
+assert.strictEqual(tracing.getNamespace('test'), ns);
+assert.throws(function() {
+  tracing.createNamespace('test');
+}, /already exists/);
+assert.throws(function() {
+  ns.set('outside', true);
+}, /No context available/);
+assert.strictEqual(ns.get('outside'), undefined);
+
+var seen = [];
+var emitter = new EventEmitter();
+var unbound;
+
+ns.run(function() {
+  ns.set('id', 'outer');
+
+  process.nextTick(common.mustCall(function() {
+    assert.equal(ns.get('id'), 'outer');
+    seen.push('nextTick');
+  }));
+
+  setTimeout(common.mustCall(function() {
+    assert.equal(ns.get('id'), 'outer');
+    seen.push('setTimeout');
+
+    setImmediate(common.mustCall(function() {
+      assert.equal(ns.get('id'), 'outer');
+      seen.push('nested setImmediate');
+    }));
+  }));
+
+  ns.run(function() {
+    // Children inherit, but do not change, their parent's values.
+    assert.equal(ns.get('id'), 'outer');
+    ns.set('id', 'inner');
+
+    setImmediate(common.mustCall(function() {
+      assert.equal(ns.get('id'), 'inner');
+      seen.push('inner setImmediate');
+    }));
+  });
+
+  assert.equal(ns.get('id'), 'outer');
+
+  unbound = ns.bind(function() {
+    return ns.get('id');
+  });
+
+  ns.bindEmitter(emitter);
+  emitter.on('event', common.mustCall(function() {
+    assert.equal(ns.get('id'), 'outer');
+    seen.push('emitter');
+  }, 2));
+});
+
+assert.strictEqual(ns.get('id'), undefined);
+assert.equal(unbound(), 'outer');
+
+var removed = function() {
+  assert.fail('removed listener should not fire');
+};
+
+ns.run(function() {
+  ns.set('id', 'other');
+  emitter.on('event', removed);
+  emitter.once('event', common.mustCall(function() {
+    assert.equal(ns.get('id'), 'other');
+  }));
+});
+
+emitter.removeListener('event', removed);
+emitter.emit('event');
+emitter.emit('event');
+
+process.on('exit', function() {
+  assert.deepEqual(seen.sort(), [
+    'emitter',
+    'emitter',
+    'inner setImmediate',
+    'nested setImmediate',
+    'nextTick',
+    'setTimeout'
+  ]);
+  tracing.destroyNamespace('test');
+  assert.strictEqual(tracing.getNamespace('test'), undefined);
+  console.log('ok');
+});
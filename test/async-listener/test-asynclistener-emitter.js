@@ -0,0 +1,102 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var EventEmitter = require('events');
+var tracing = require('../../index.js');
+
+var tap = tracing.ASYNC_PROVIDERS;
+var current = null;
+var created = 0;
+
+var listener = tracing.createAsyncListener({
+  create: function(data, provider) {
+    assert.equal(provider, 'EMITTER');
+    created++;
+    return current;
+  },
+  before: function(ctx, data) {
+    current = data;
+  },
+  after: function(ctx, data) {
+    current = null;
+  }
+}, null, tap.EMITTER);
+
+var emitter = tracing.bindEmitter(new EventEmitter());
+var calls = [];
+
+// Without an AsyncListener there is nothing to capture, so listeners are
+// added untouched.
+function plain() {}
+emitter.on('event', plain);
+assert.strictEqual(emitter.listeners('event')[0], plain);
+emitter.removeListener('event', plain);
+
+tracing.addAsyncListener(listener);
+
+current = 'request 1';
+emitter.on('event', function() {
+  calls.push('on ' + current);
+});
+
+current = 'request 2';
+emitter.once('event', function() {
+  calls.push('once ' + current);
+});
+
+function removed() {
+  calls.push('removed');
+}
+emitter.addListener('event', removed);
+
+current = 'request 3';
+function removedOnce() {
+  calls.push('removed once');
+}
+emitter.once('event', removedOnce);
+
+tracing.removeAsyncListener(listener);
+current = 'socket';
+
+emitter.removeListener('event', removed);
+emitter.removeListener('event', removedOnce);
+assert.equal(emitter.listeners('event').length, 2);
+
+emitter.emit('event');
+emitter.emit('event');
+
+assert.equal(created, 4);
+assert.deepEqual(calls, [
+  'on request 1',
+  'once request 2',
+  'on request 1'
+]);
+assert.equal(emitter.listeners('event').length, 1);
+
+// Binding twice must not wrap listeners twice.
+assert.strictEqual(tracing.bindEmitter(emitter), emitter);
+
+assert.throws(function() {
+  tracing.bindEmitter({});
+}, TypeError);
@@ -0,0 +1,91 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var tracing = require('../../index.js');
+
+var tap = tracing.ASYNC_PROVIDERS;
+var created = 0;
+var befores = 0;
+var afters = 0;
+var seen = [];
+
+var listener = tracing.createAsyncListener({
+  create: function(data, provider) {
+    assert.equal(provider, 'PROMISE');
+    created++;
+    return data;
+  },
+  before: function(ctx, data) {
+    befores++;
+    seen.push(data);
+  },
+  after: function(ctx, data) {
+    afters++;
+  }
+}, 'promise', tap.PROMISE);
+
+tracing.addAsyncListener(listener);
+
+var chain = Promise.resolve(1).then(function(value) {
+  assert.equal(value, 1);
+  throw new Error('rejected');
+}).catch(function(er) {
+  assert.equal(er.message, 'rejected');
+  return 2;
+});
+
+if (typeof chain.finally === 'function') {
+  chain = chain.finally(function() {
+    return 3;
+  });
+}
+
+chain.then(common.mustCall(function(value) {
+  assert.equal(value, 2);
+}));
+
+// Both callbacks given, still a single context.
+Promise.reject(new Error('both')).then(function() {
+  assert(false, 'fulfilled');
+}, common.mustCall(function(er) {
+  assert.equal(er.message, 'both');
+}));
+
+tracing.removeAsyncListener(listener);
+
+// Registered after the listener was removed, so never tracked.
+Promise.resolve().then(common.mustCall(function() {}));
+
+process.on('exit', function() {
+  // A then() that throws must still run its after() callback.
+  assert.equal(befores, afters);
+  // Only one of a then()'s two callbacks ever runs, and they share the
+  // context created for the then().
+  assert.ok(befores >= 3);
+  assert.equal(created, befores);
+  seen.forEach(function(data) {
+    assert.equal(data, 'promise');
+  });
+  console.log('ok');
+});
@@ -0,0 +1,74 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+// Stands in for the usdt module in test-udt-usdt.js. Like libstapsdt it
+// refuses probes added to a loaded provider and duplicate probe names, and
+// it records every provider and firing. It takes any argument type names,
+// so it says nothing about whether the real module knows them.
+
+var providers = exports.providers = [];
+
+
+function USDTProbe(provider, name, types) {
+  this.provider = provider;
+  this.name = name;
+  this.types = types;
+  this.fired = [];
+}
+
+USDTProbe.prototype.fire = function(cb) {
+  if (this.provider.enabled)
+    this.fired.push(cb());
+};
+
+
+function USDTProvider(name) {
+  this.name = name;
+  this.probes = [];
+  this.enabled = false;
+  providers.push(this);
+}
+
+USDTProvider.prototype.addProbe = function(name) {
+  if (this.enabled)
+    throw new Error('Cannot add probes to an enabled provider');
+
+  this.probes.forEach(function(probe) {
+    if (probe.name === name)
+      throw new Error('Duplicate probe ' + name);
+  });
+
+  var probe = new USDTProbe(this, name,
+                            Array.prototype.slice.call(arguments, 1));
+  this.probes.push(probe);
+  return probe;
+};
+
+USDTProvider.prototype.enable = function() {
+  this.enabled = true;
+};
+
+USDTProvider.prototype.disable = function() {
+  this.enabled = false;
+};
+
+exports.USDTProvider = USDTProvider;
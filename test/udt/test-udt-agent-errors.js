@@ -0,0 +1,129 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var execFile = require('child_process').execFile;
+var fs = require('fs');
+var net = require('net');
+
+var tracing = require('../../index.js');
+
+try { fs.mkdirSync(common.tmpDir); } catch (e) {}
+try { fs.unlinkSync(common.PIPE); } catch (e) {}
+
+malformed();
+
+// A line that is not JSON is an 'error' on the client, not a throw.
+function malformed() {
+  var server = net.createServer(function(socket) {
+    socket.end('not json\n');
+  });
+
+  server.listen(common.PIPE, function() {
+    var client = tracing.connect(common.PIPE);
+    client.on('error', common.mustCall(function(er) {
+      assert.ok(er instanceof SyntaxError);
+      client.close();
+      server.close(stale);
+    }));
+  });
+}
+
+// Leave a socket behind with no process on the other end, then have the
+// retry after removing it fail as well. The second failure must reach the
+// server's 'error' listeners.
+function stale() {
+  var script = 'require("net").createServer().listen(' +
+               JSON.stringify(common.PIPE) + ', function() { ' +
+               'process.exit(); });';
+
+  execFile(process.execPath, ['-e', script], function(er) {
+    assert.ifError(er);
+    assert.ok(fs.statSync(common.PIPE).isSocket());
+
+    var unlink = fs.unlink;
+    fs.unlink = function(path, cb) {
+      fs.unlink = unlink;
+      unlink(path, function() {
+        fs.writeFileSync(path, '');
+        cb();
+      });
+    };
+
+    // The listener hears both failed listens and then the agent giving up
+    // on the path once it finds a file that is not a socket.
+    var errors = 0;
+    var server = tracing.serve({ path: common.PIPE }, assert.fail);
+    server.on('error', common.mustCall(function(er) {
+      assert.equal(er.code, 'EADDRINUSE');
+      if (++errors === 3) {
+        fs.unlinkSync(common.PIPE);
+        methods();
+      }
+    }, 3));
+  });
+}
+
+// Only the agent's own methods can be called, not ones it inherits.
+function methods() {
+  var server = tracing.serve({ path: common.PIPE }, function() {
+    var client = tracing.connect(common.PIPE);
+
+    client.request('constructor', {}, common.mustCall(function(er) {
+      assert.ok(/Unknown method "constructor"/.test(er.message));
+
+      client.request('hasOwnProperty', {}, common.mustCall(function(er) {
+        assert.ok(/Unknown method "hasOwnProperty"/.test(er.message));
+        unserializable(server, client);
+      }));
+    }));
+  });
+}
+
+// Arguments that do not serialize are dropped. The fire() that passed them
+// must not throw.
+function unserializable(server, client) {
+  var provider = tracing.createProvider({ namespace: 'agent', name: 'errors' });
+  provider.addProbe('hit');
+  provider.enable();
+
+  client.subscribe('agent:errors:hit', function(er) {
+    assert.ifError(er);
+
+    var circular = {};
+    circular.self = circular;
+    provider.fire('hit', function() {
+      return [circular];
+    });
+    provider.fire('hit', function() {
+      return [1];
+    });
+
+    client.on('probe', common.mustCall(function(event) {
+      assert.deepEqual(event.args, [1]);
+      assert.equal(event.dropped, 1);
+      client.close();
+      server.close();
+    }));
+  });
+}
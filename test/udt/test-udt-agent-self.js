@@ -0,0 +1,64 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+
+var common = require('../common');
+var assert = require('assert');
+var fs = require('fs');
+
+var tracing = require('../../index.js');
+
+// A subscription to everything must not see, or be fed by, the agent's
+// own socket traffic.
+var provider = tracing.createProvider({ namespace: 'self', name: 'mod' });
+provider.addProbe('hit', 'int');
+provider.enable();
+
+try { fs.mkdirSync(common.tmpDir); } catch (e) {}
+try { fs.unlinkSync(common.PIPE); } catch (e) {}
+
+var server = tracing.serve({ path: common.PIPE }, function() {
+  var client = tracing.connect(common.PIPE);
+  var events = [];
+
+  client.on('probe', function(event) {
+    events.push(event);
+  });
+
+  client.subscribe('*', function(er) {
+    assert.ifError(er);
+
+    provider.fire('hit', function() { return [1]; });
+
+    setTimeout(function() {
+      var names = events.map(function(event) {
+        return event.namespace + ':' + event.provider + ':' + event.probe;
+      });
+
+      assert.deepEqual(names, ['self:mod:hit']);
+      assert.equal(events[0].dropped, undefined);
+
+      client.close();
+      server.close();
+    }, 200);
+  });
+});
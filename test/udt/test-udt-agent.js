@@ -0,0 +1,112 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var fs = require('fs');
+
+var tracing = require('../../index.js');
+
+var provider = tracing.createProvider({ namespace: 'agent', name: 'mod' });
+provider.addProbe('hit', 'int', 'char *');
+provider.enable();
+
+var marshalled = 0;
+
+function fire(n) {
+  provider.fire('hit', function() {
+    marshalled++;
+    return [n, 'hit ' + n];
+  });
+}
+
+try { fs.mkdirSync(common.tmpDir); } catch (e) {}
+try { fs.unlinkSync(common.PIPE); } catch (e) {}
+
+start();
+
+function start() {
+  var server = tracing.serve({ path: common.PIPE }, function() {
+    var client = tracing.connect(common.PIPE);
+    var events = [];
+
+    client.list(function(er, list) {
+      assert.ifError(er);
+      assert.deepEqual(list.agent.mod.hit.signature, ['int', 'char *']);
+
+      client.subscribe('agent:*:hit', function(er, id) {
+        assert.ifError(er);
+        assert.equal(typeof id, 'number');
+
+        fire(1);
+        fire(2);
+
+        client.on('probe', function(event) {
+          events.push(event);
+          if (events.length < 2)
+            return;
+
+          assert.deepEqual(events.map(function(e) { return e.args; }),
+                           [[1, 'hit 1'], [2, 'hit 2']]);
+          assert.equal(events[0].subscription, id);
+          assert.equal(events[0].namespace, 'agent');
+          assert.equal(events[0].provider, 'mod');
+          assert.equal(events[0].probe, 'hit');
+          assert.equal(typeof events[0].timestamp, 'number');
+
+          client.unsubscribe(id, function(er) {
+            assert.ifError(er);
+
+            // With nothing subscribed the probe is free again.
+            marshalled = 0;
+            fire(3);
+            assert.equal(marshalled, 0);
+
+            client.request('bogus', {}, function(er) {
+              assert.ok(/Unknown method "bogus"/.test(er.message));
+              client.unsubscribe(id, common.mustCall(function(er) {
+                assert.ok(/Unknown subscription/.test(er.message));
+                disconnect(server, client);
+              }));
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+// Subscriptions go away with the client.
+function disconnect(server, client) {
+  client.subscribe('agent:*:*', function(er) {
+    assert.ifError(er);
+    client.close();
+    client.on('close', common.mustCall(function() {
+      setImmediate(function() {
+        marshalled = 0;
+        fire(4);
+        assert.equal(marshalled, 0);
+        server.close();
+      });
+    }));
+  });
+}
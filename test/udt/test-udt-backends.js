@@ -0,0 +1,146 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+
+var common = require('../common');
+var assert = require('assert');
+var util = require('util');
+
+var tracing = require('../../index.js');
+
+var fired = [];
+
+function SinkProbe(provider, name, signature) {
+  tracing.Probe.call(this, provider, name, signature);
+}
+util.inherits(SinkProbe, tracing.Probe);
+
+SinkProbe.prototype.binding = function(args) {
+  fired.push([this.provider.name, this.name, args]);
+};
+
+var checks = 0;
+
+tracing.registerBackend('sink', {
+  Probe: SinkProbe,
+  isAvailable: function() {
+    checks++;
+    return true;
+  }
+});
+
+tracing.registerBackend('missing', {
+  Probe: SinkProbe,
+  isAvailable: function() {
+    throw new Error('no such binding');
+  }
+});
+
+assert.throws(function() {
+  tracing.registerBackend('bogus', {});
+}, TypeError);
+
+assert.throws(function() {
+  tracing.createProvider({ namespace: 'be', name: 'x', backend: 'nope' });
+}, /Unknown backend nope/);
+
+assert.throws(function() {
+  tracing.createProvider({ namespace: 'be', name: 'x', backend: 'missing' });
+}, /Backend missing is not available/);
+
+assert.equal(tracing.getProvider({ namespace: 'be', name: 'x' }), undefined);
+
+// A single backend.
+var single = tracing.createProvider({
+  namespace: 'be',
+  name: 'single',
+  backend: 'sink'
+});
+single.addProbe('hit', 'int', 'json');
+single.enable();
+single.fire('hit', function() { return [1, { a: 1 }]; });
+
+assert.deepEqual(fired, [['single', 'hit', [1, { a: 1 }]]]);
+
+// Several at once, with JS listeners firing just once.
+fired = [];
+
+var fanout = tracing.createProvider({
+  namespace: 'be',
+  name: 'fanout',
+  backend: ['sink', 'js', 'sink']
+});
+fanout.addProbe('hit', 'int');
+fanout.enable();
+
+var received = [];
+tracing.on('be:fanout:hit', function(args) {
+  received.push(args);
+});
+
+var marshalled = 0;
+fanout.fire('hit', function() {
+  marshalled++;
+  return [2];
+});
+
+assert.equal(marshalled, 1);
+assert.deepEqual(received, [[2]]);
+assert.deepEqual(fired, [['fanout', 'hit', [2]], ['fanout', 'hit', [2]]]);
+
+assert.equal(checks, 1);
+
+// Probes are removed from every backend.
+fanout.removeProbe('hit');
+assert.equal(fanout.probes.hit, undefined);
+fanout.children.forEach(function(child) {
+  assert.equal(child.probes.hit, undefined);
+});
+
+// Backends can supply the provider too.
+function CountingProvider(options) {
+  tracing.Provider.call(this, options);
+  this.enables = 0;
+}
+util.inherits(CountingProvider, tracing.Provider);
+
+CountingProvider.prototype.enable = function() {
+  this.enables++;
+  tracing.Provider.prototype.enable.call(this);
+};
+
+tracing.registerBackend('counting', { Provider: CountingProvider });
+
+var counting = tracing.createProvider({
+  namespace: 'be',
+  name: 'counting',
+  backend: 'counting'
+});
+assert(counting instanceof CountingProvider);
+counting.enable();
+assert.equal(counting.enables, 1);
+
+// Without a backend providers work as before.
+var plain = tracing.createProvider({ namespace: 'be', name: 'plain' });
+plain.addProbe('hit', 'int');
+plain.enable();
+plain.fire('hit', function() { return [3]; });
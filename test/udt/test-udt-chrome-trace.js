@@ -0,0 +1,81 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+
+var tracing = require('../../index.js');
+
+var provider = tracing.createProvider({ namespace: 'chrome', name: 'db' });
+provider.addProbe('query-start', 'char *');
+provider.addProbe('query-done', 'char *');
+provider.addProbe('cache-miss', 'char *');
+provider.enable();
+
+var trace = tracing.createChromeTrace({
+  processName: 'test',
+  probes: 'chrome:*:*',
+  gc: false
+}).start();
+
+setImmediate(function() {
+  provider.fire('query-start', function() { return ['select 1']; });
+  provider.fire('cache-miss', function() { return ['users']; });
+  provider.fire('query-done', function() { return ['select 1']; });
+
+  process.nextTick(function() {
+    trace.stop();
+    check(JSON.parse(JSON.stringify(trace)));
+  });
+});
+
+function check(json) {
+  var events = json.traceEvents;
+
+  assert.equal(json.displayTimeUnit, 'ms');
+
+  var meta = events.filter(function(e) { return e.ph === 'M'; });
+  assert.deepEqual(meta.map(function(e) { return e.args.name; }),
+                   ['test', 'main']);
+
+  var probes = events.filter(function(e) { return e.cat === 'chrome:db'; });
+  assert.deepEqual(probes.map(function(e) { return e.ph + ' ' + e.name; }),
+                   ['B query', 'i cache-miss', 'E query']);
+  assert.deepEqual(probes[0].args.args, ['select 1']);
+
+  events.forEach(function(e) {
+    assert.equal(e.pid, process.pid);
+    assert.equal(e.tid, 0);
+    if (e.ph !== 'M')
+      assert.equal(typeof e.ts, 'number');
+  });
+
+  // The immediate and the nextTick each get a flow from where they were
+  // created to the slice their callback ran in.
+  var async = events.filter(function(e) { return e.cat === 'async'; });
+  assert.deepEqual(async.map(function(e) { return e.ph + ' ' + e.name; }),
+                   ['s TIMER', 'B TIMER', 'f TIMER', 's NEXTTICK', 'E TIMER',
+                    'B NEXTTICK', 'f NEXTTICK']);
+  assert.equal(async[0].id, async[2].id);
+  assert.equal(async[3].id, async[6].id);
+  assert.notEqual(async[0].id, async[3].id);
+}
@@ -0,0 +1,101 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+
+var common = require('../common');
+var assert = require('assert');
+
+var tracing = require('../../index.js');
+
+assert.equal(tracing.destroyProvider({ namespace: 'gone', name: 'mod' }),
+             false);
+
+assert.throws(function() {
+  tracing.destroyProvider({ namespace: 'node', name: 'http' });
+}, /Cannot destroy provider http in the node namespace/);
+
+var provider = tracing.createProvider({ namespace: 'gone', name: 'mod' });
+var ping = provider.addProbe('ping', 'int');
+provider.addProbe('pong', 'int');
+provider.enable();
+
+// Removing a probe that does not exist is not an error.
+provider.removeProbe('nope');
+
+var exact = 0;
+var wide = 0;
+tracing.on('gone', 'mod', 'ping', function() { exact++; });
+tracing.on('gone:mod:pong', function() { exact++; });
+tracing.on('gone:*:*', function() { wide++; });
+
+provider.fire('ping', function() { return [1]; });
+assert.equal(exact, 1);
+assert.equal(wide, 1);
+
+var events = [];
+tracing.registry.on('disable', function(p) {
+  events.push('disable ' + p.name);
+});
+tracing.registry.on('probe-removed', function(p) {
+  events.push('removed ' + p.name);
+});
+
+assert.equal(tracing.destroyProvider({ namespace: 'gone', name: 'mod' }),
+             true);
+
+assert.deepEqual(events, ['disable mod', 'removed ping', 'removed pong']);
+assert.equal(provider.enabled, false);
+assert.deepEqual(Object.keys(provider.probes), []);
+assert.equal(tracing.getProvider({ namespace: 'gone', name: 'mod' }),
+             undefined);
+assert.equal(tracing.list().gone, undefined);
+
+// Old probes cannot be fired any more.
+assert.throws(function() {
+  ping.fire(function() { return [1]; });
+}, /while disabled/);
+
+// A new provider under the same name starts without the exact listeners,
+// but pattern subscriptions still apply.
+var again = tracing.createProvider({ namespace: 'gone', name: 'mod' });
+assert.notEqual(again, provider);
+again.addProbe('ping', 'int');
+again.addProbe('pong', 'int');
+again.enable();
+again.fire('ping', function() { return [2]; });
+again.fire('pong', function() { return [3]; });
+assert.equal(exact, 1);
+assert.equal(wide, 3);
+
+// Fan-out providers take the probes of every backend with them.
+var fanout = tracing.createProvider({
+  namespace: 'gone',
+  name: 'fanout',
+  backend: ['js', 'js']
+});
+fanout.addProbe('ping', 'int');
+fanout.enable();
+tracing.destroyProvider({ namespace: 'gone', name: 'fanout' });
+fanout.children.forEach(function(child) {
+  assert.equal(child.enabled, false);
+  assert.deepEqual(Object.keys(child.probes), []);
+});
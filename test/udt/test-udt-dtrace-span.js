@@ -0,0 +1,106 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+
+// Stand in for the DTrace binding of a node built with DTrace, recording
+// what is done to each provider's handle.
+if (!process.config.variables.node_use_dtrace) {
+  var binding = process.binding;
+
+  Object.defineProperty(process, 'config', {
+    value: { variables: { node_use_dtrace: true } }
+  });
+
+  process.binding = function(name) {
+    if (name !== 'dtrace_provider')
+      return binding.apply(this, arguments);
+
+    return {
+      DTraceProvider: function DTraceProvider() {
+        this.probes = [];
+        this.enables = 0;
+        this.disables = 0;
+        this.addProbe = function(probe) { this.probes.push(probe); };
+        this.removeProbe = function() {};
+        this.enable = function() { this.enables++; };
+        this.disable = function() { this.disables++; };
+      },
+      DTraceProbe: function DTraceProbe() {
+        this.fire = function() {};
+      }
+    };
+  };
+}
+
+var tracing = require('../../index.js');
+
+var provider = tracing.createProvider({
+  namespace: 'dtspan',
+  name: 'app',
+  backend: 'dtrace'
+});
+
+provider.addSpan('request');
+provider.enable();
+
+var handle = provider._handle;
+assert.equal(handle.enables, 1);
+
+// Spans added before enable() can be created any time.
+provider.createSpan('request').end();
+assert.equal(handle.probes.length, 2);
+
+// Others would need the provider enabled again, which would drop what D
+// scripts enabled on it.
+assert.throws(function() {
+  provider.createSpan('query');
+}, /Cannot add span dtspan:app:query while enabled/);
+assert.throws(function() {
+  provider.addSpan('query');
+}, /add it before enable\(\)/);
+assert.equal(provider.probes['query-start'], undefined);
+
+// Plain probes are added the way they always were.
+provider.addProbe('late', 'int');
+assert.equal(handle.probes.length, 3);
+assert.equal(handle.enables, 1);
+assert.equal(handle.disables, 0);
+
+// Fanned out, the DTrace backend decides for all of them.
+var fanout = tracing.createProvider({
+  namespace: 'dtspan',
+  name: 'fanout',
+  backend: ['js', 'dtrace']
+});
+
+fanout.enable();
+assert.throws(function() {
+  fanout.createSpan('request');
+}, /Cannot add span/);
+assert.equal(fanout.children[0].probes['request-start'], undefined);
+
+fanout.disable();
+fanout.addSpan('request');
+fanout.enable();
+fanout.createSpan('request').end();
@@ -0,0 +1,120 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+
+var common = require('../common');
+var assert = require('assert');
+var util = require('util');
+
+var tracing = require('../../index.js');
+
+var provider = tracing.createProvider({
+  namespace: 'enabled',
+  name: 'js',
+  backend: 'js'
+});
+var probe = provider.addProbe('hit', 'int');
+
+assert.equal(probe.isEnabled(), false);
+
+function listener() {}
+tracing.on('enabled:js:hit', listener);
+
+// Disabled providers fire nothing.
+assert.equal(probe.isEnabled(), false);
+provider.enable();
+assert.equal(probe.isEnabled(), true);
+
+tracing.removeListener('enabled:js:hit', listener);
+assert.equal(probe.isEnabled(), false);
+
+// A backend that knows whether its consumer is attached.
+var attached = false;
+var fired = [];
+
+function ConsumerProbe(provider, name, signature) {
+  tracing.Probe.call(this, provider, name, signature);
+}
+util.inherits(ConsumerProbe, tracing.Probe);
+
+ConsumerProbe.prototype._isBindingEnabled = function() {
+  return attached;
+};
+
+ConsumerProbe.prototype.binding = function(args) {
+  fired.push(args);
+};
+
+tracing.registerBackend('consumer', { Probe: ConsumerProbe });
+
+var consumer = tracing.createProvider({
+  namespace: 'enabled',
+  name: 'consumer',
+  backend: 'consumer'
+});
+var cprobe = consumer.addProbe('hit', 'int');
+consumer.enable();
+
+var marshalled = 0;
+function fire(p) {
+  p.provider.fire('hit', function() {
+    marshalled++;
+    return [marshalled];
+  });
+}
+
+assert.equal(cprobe.isEnabled(), false);
+fire(cprobe);
+assert.equal(marshalled, 0);
+
+attached = true;
+assert.equal(cprobe.isEnabled(), true);
+fire(cprobe);
+assert.equal(marshalled, 1);
+assert.deepEqual(fired, [[1]]);
+
+// Fanned out, only the backends with a consumer get the firing.
+attached = false;
+var fanout = tracing.createProvider({
+  namespace: 'enabled',
+  name: 'fanout',
+  backend: ['consumer', 'js']
+});
+var fprobe = fanout.addProbe('hit', 'int');
+fanout.enable();
+
+assert.equal(fprobe.isEnabled(), false);
+fire(fprobe);
+assert.equal(marshalled, 1);
+
+var received = [];
+tracing.on('enabled:fanout:hit', function(args) {
+  received.push(args);
+});
+assert.equal(fprobe.isEnabled(), true);
+fire(fprobe);
+assert.deepEqual(received, [[2]]);
+assert.deepEqual(fired, [[1]]);
+
+attached = true;
+fire(fprobe);
+assert.deepEqual(fired, [[1], [3]]);
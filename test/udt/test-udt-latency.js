@@ -0,0 +1,143 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+
+var common = require('../common');
+var assert = require('assert');
+
+var tracing = require('../../index.js');
+
+var provider = tracing.createProvider({ namespace: 'lat', name: 'db' });
+provider.addProbe('query-start', 'int', 'char *');
+provider.addProbe('query-done', 'int', 'int');
+provider.addProbe('begin', 'int');
+provider.addProbe('commit', 'int');
+provider.enable();
+
+function fire(probe, args) {
+  provider.fire(probe, function() { return args; });
+}
+
+// Block for roughly ms milliseconds, so timings are predictable.
+function spin(ms) {
+  var start = process.hrtime();
+  var elapsed;
+  do {
+    elapsed = process.hrtime(start);
+  } while (elapsed[0] * 1e3 + elapsed[1] / 1e6 < ms);
+}
+
+assert.throws(function() {
+  tracing.createLatencyTracker({ start: 'lat:db:query-start' });
+}, TypeError);
+
+assert.throws(function() {
+  tracing.createLatencyTracker({
+    start: 'lat:db:query-start',
+    done: 'lat:db:query-done',
+    maxPending: 0
+  });
+}, TypeError);
+
+var tracker = tracing.createLatencyTracker({
+  start: 'lat:db:query-start',
+  done: 'lat:db:query-done',
+  label: function(start, done) {
+    return start[1];
+  },
+  maxPending: 2
+});
+
+// Interleaved queries are paired by id.
+fire('query-start', [1, 'select']);
+fire('query-start', [2, 'insert']);
+spin(5);
+fire('query-done', [2, 0]);
+spin(5);
+fire('query-done', [1, 0]);
+
+// Unknown ids are counted, not timed.
+fire('query-done', [3, 0]);
+assert.equal(tracker.unmatched, 1);
+
+var name = 'lat:db:query';
+var all = tracker.getHistogram(name);
+assert.equal(all.count, 2);
+assert(all.min >= 5000, all.min);
+assert(all.max >= 10000, all.max);
+assert(tracker.percentile(name, 50) >= 5000);
+assert.equal(tracker.getHistogram(name, 'select').count, 1);
+assert.equal(tracker.getHistogram(name, 'insert').count, 1);
+assert(tracker.percentile(name, 99, 'select') >= 10000);
+assert.equal(tracker.getHistogram(name, 'delete'), null);
+assert.equal(tracker.percentile('lat:db:nope', 50), null);
+
+var json = tracker.toJSON();
+assert.deepEqual(Object.keys(json), [name]);
+assert.equal(json[name].count, 2);
+assert.equal(json[name].labels.select.count, 1);
+assert.equal(typeof json[name].p99, 'number');
+
+// The pending map is bounded.
+fire('query-start', [10, 'select']);
+fire('query-start', [11, 'select']);
+fire('query-start', [12, 'select']);
+assert.equal(tracker.pending, 2);
+assert.equal(tracker.overflow, 1);
+fire('query-done', [12, 0]);
+assert.equal(tracker.unmatched, 2);
+
+tracker.reset();
+assert.deepEqual(tracker.toJSON(), {});
+assert.equal(tracker.pending, 0);
+
+// Closed trackers stop listening.
+tracker.close();
+fire('query-start', [1, 'select']);
+fire('query-done', [1, 0]);
+assert.deepEqual(tracker.toJSON(), {});
+
+// Probes not named as a pair, with a custom key.
+var txn = tracing.createLatencyTracker({
+  start: 'lat:db:begin',
+  done: 'lat:db:commit',
+  key: function(args) {
+    return 'txn' + args[0];
+  }
+});
+fire('begin', [7]);
+fire('commit', [7]);
+assert.deepEqual(Object.keys(txn.toJSON()), ['lat:db:begin/commit']);
+assert.equal(txn.toJSON()['lat:db:begin/commit'].labels, undefined);
+txn.close();
+
+// Spans fire start and done probes with the span id second.
+var spans = tracing.createLatencyTracker({
+  start: 'lat:db:request-start',
+  done: 'lat:db:request-done',
+  key: function(args) {
+    return args[1];
+  }
+});
+provider.createSpan('request').end();
+assert.equal(spans.getHistogram('lat:db:request').count, 1);
+spans.close();
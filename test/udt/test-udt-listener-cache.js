@@ -0,0 +1,57 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+
+var tracing = require('../../index.js');
+
+var marshalled = 0;
+var seen = [];
+
+function marshal() {
+  marshalled++;
+  return [marshalled];
+}
+
+var provider = tracing.createProvider({ namespace: 'cache', name: 'first' });
+var probe = provider.addProbe('tick', 'int');
+provider.enable();
+
+// No one is listening, so the arguments should never be built.
+probe.fire(marshal);
+probe.fire(marshal);
+assert.equal(marshalled, 0);
+
+// Subscribing after the probe has already fired must be picked up.
+tracing.on('cache', '*', 'tick', function(args, info) {
+  seen.push(info.name + ':' + args[0]);
+});
+probe.fire(marshal);
+assert.deepEqual(seen, ['first:1']);
+
+// As must providers created after the subscription.
+var late = tracing.createProvider({ namespace: 'cache', name: 'second' });
+late.addProbe('tick', 'int');
+late.enable();
+late.fire('tick', marshal);
+assert.deepEqual(seen, ['first:1', 'second:2']);
@@ -0,0 +1,110 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+
+var tracing = require('../../index.js');
+
+var provider = tracing.createProvider({ namespace: 'reg', name: 'mod' });
+provider.addProbe('ping', 'int');
+provider.addProbe('pong', 'int');
+provider.enable();
+
+function fire(name) {
+  provider.fire(name, function() { return [1]; });
+}
+
+// Closures with identical source are still distinct listeners.
+function makeCounter() {
+  var counter = function() { counter.count++; };
+  counter.count = 0;
+  return counter;
+}
+
+var a = makeCounter();
+var b = makeCounter();
+
+tracing.on('reg', 'mod', 'ping', a);
+tracing.on('reg', 'mod', 'ping', b);
+// Subscribing the same function twice is a no-op.
+tracing.on('reg', 'mod', 'ping', a);
+fire('ping');
+assert.equal(a.count, 1);
+assert.equal(b.count, 1);
+
+tracing.removeListener('reg', 'mod', 'ping', a);
+fire('ping');
+assert.equal(a.count, 1);
+assert.equal(b.count, 2);
+
+// Without a listener nothing is removed by accident.
+assert.throws(function() {
+  tracing.removeListener('reg', 'mod', 'ping');
+}, TypeError);
+fire('ping');
+assert.equal(b.count, 3);
+
+tracing.removeListener('reg:mod:ping', b);
+fire('ping');
+assert.equal(b.count, 3);
+
+// once() fires a single time and can be removed by the original function.
+var c = makeCounter();
+tracing.once('reg', 'mod', 'ping', c);
+fire('ping');
+fire('ping');
+assert.equal(c.count, 1);
+
+var d = makeCounter();
+tracing.once('reg:mod:ping', d);
+tracing.removeListener('reg:mod:ping', d);
+fire('ping');
+assert.equal(d.count, 0);
+
+// removeAllListeners() removes everything its pattern covers.
+var e = makeCounter();
+var f = makeCounter();
+var g = makeCounter();
+tracing.on('reg', 'mod', 'ping', e);
+tracing.on('reg', '*', 'p*', f);
+tracing.on('other', '*', '*', g);
+tracing.removeAllListeners('reg:*:ping');
+fire('ping');
+fire('pong');
+assert.equal(e.count, 0);
+assert.equal(f.count, 2);
+
+tracing.removeAllListeners('reg');
+fire('pong');
+assert.equal(f.count, 2);
+
+var h = makeCounter();
+tracing.on('*', '*', '*', h);
+tracing.removeAllListeners();
+fire('ping');
+assert.equal(h.count, 0);
+assert.equal(g.count, 0);
+
+assert.throws(function() {
+  tracing.on('reg', 'mod', 'ping', 'not a function');
+}, TypeError);
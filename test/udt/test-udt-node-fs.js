@@ -0,0 +1,168 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+
+var originals = {};
+['open', 'read', 'write', 'close', 'closeSync'].forEach(function(op) {
+  originals[op] = fs[op];
+});
+
+var tracing = require('../../index.js');
+
+var probes = Object.keys(tracing.list().node.fs).sort();
+assert.deepEqual(probes, [
+  'close-done', 'close-start',
+  'open-done', 'open-start',
+  'read-done', 'read-start',
+  'write-done', 'write-start'
+]);
+
+var file = path.join(common.tmpDir, 'udt-node-fs.txt');
+var fired = [];
+
+try { fs.mkdirSync(common.tmpDir); } catch (e) {}
+
+// The wrappers keep what the originals carry beyond being functions, like
+// the symbols util.promisify() looks for on newer versions of node.
+Object.keys(originals).forEach(function(op) {
+  var wrapper = fs[op];
+  var original = originals[op];
+
+  assert.notStrictEqual(wrapper, original);
+
+  Object.getOwnPropertyNames(original).forEach(function(key) {
+    if (['length', 'name', 'prototype', 'arguments', 'caller']
+            .indexOf(key) === -1)
+      assert.strictEqual(wrapper[key], original[key]);
+  });
+
+  var symbols = Object.getOwnPropertySymbols(original);
+  assert.deepEqual(Object.getOwnPropertySymbols(wrapper), symbols);
+  symbols.forEach(function(symbol) {
+    assert.strictEqual(wrapper[symbol], original[symbol]);
+  });
+});
+
+fs.writeFileSync(file, 'hello');
+untraced();
+
+// Without listeners the calls are not even timed.
+function untraced() {
+  var hrtime = process.hrtime;
+  var timed = 0;
+
+  process.hrtime = function() {
+    timed++;
+    return hrtime.apply(this, arguments);
+  };
+
+  fs.open(file, 'r', function(er, fd) {
+    assert.ifError(er);
+    fs.close(fd, function(er) {
+      assert.ifError(er);
+      process.hrtime = hrtime;
+      assert.equal(timed, 0);
+      traced();
+    });
+  });
+}
+
+function traced() {
+  tracing.on('node:fs', function(args, info) {
+    fired.push({ probe: info.probe, args: args });
+  });
+
+  fs.open(file, 'w+', function(er, fd) {
+    assert.ifError(er);
+    fs.write(fd, new Buffer('hello'), 0, 5, 0, function(er) {
+      assert.ifError(er);
+      fs.read(fd, new Buffer(5), 0, 5, 0, function(er, bytesRead) {
+        assert.ifError(er);
+        assert.equal(bytesRead, 5);
+        fs.close(fd, function(er) {
+          assert.ifError(er);
+          fs.unlinkSync(file);
+          check(fd);
+        });
+      });
+    });
+  });
+}
+
+function check(fd) {
+  assert.deepEqual(fired.map(function(e) { return e.probe; }), [
+    'open-start', 'open-done',
+    'write-start', 'write-done',
+    'read-start', 'read-done',
+    'close-start', 'close-done'
+  ]);
+
+  assert.deepEqual(fired[0].args, [file, -1, 0]);
+  assert.deepEqual(fired[2].args, [file, fd, 5]);
+  assert.deepEqual(fired[4].args, [file, fd, 5]);
+
+  [1, 3, 5, 7].forEach(function(i) {
+    var args = fired[i].args;
+    assert.equal(args[0], file);
+    assert.equal(args[1], fd);
+    assert.equal(typeof args[3], 'number');
+    assert(args[3] >= 0);
+    assert.equal(args[4], '');
+  });
+  assert.equal(fired[3].args[2], 5);
+  assert.equal(fired[5].args[2], 5);
+
+  fired = [];
+  fs.open(path.join(common.tmpDir, 'does', 'not', 'exist'), 'r',
+          common.mustCall(function(er) {
+    assert.ok(er);
+    assert.equal(fired[1].probe, 'open-done');
+    assert.equal(fired[1].args[1], -1);
+    assert.ok(/ENOENT/.test(fired[1].args[4]));
+    closedSync();
+  }));
+}
+
+// Descriptors closed with fs.closeSync() lose their paths too, so whatever
+// is opened on the same descriptor next is not reported under them.
+function closedSync() {
+  var other = path.join(common.tmpDir, 'udt-node-fs-other.txt');
+
+  fs.open(file, 'w', function(er, fd) {
+    assert.ifError(er);
+    fs.closeSync(fd);
+
+    fd = fs.openSync(other, 'w');
+    fired = [];
+    fs.write(fd, new Buffer('hi'), 0, 2, 0, common.mustCall(function(er) {
+      assert.ifError(er);
+      assert.deepEqual(fired[0].args, ['', fd, 2]);
+      fs.closeSync(fd);
+      fs.unlinkSync(file);
+      fs.unlinkSync(other);
+    }));
+  });
+}
@@ -0,0 +1,127 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var http = require('http');
+var EventEmitter = require('events');
+
+var tracing = require('../../index.js');
+
+var probes = tracing.list().node.http;
+assert.deepEqual(Object.keys(probes).sort(), [
+  'client-request-start',
+  'client-response',
+  'server-request-start',
+  'server-response-done',
+  'socket-error'
+]);
+
+var fired = [];
+
+tracing.on('node', 'http', '*', function(args, info) {
+  fired.push({ probe: info.probe, args: args });
+});
+
+var server = http.createServer(function(req, res) {
+  res.statusCode = 201;
+  res.end('ok');
+});
+
+server.listen(common.PORT, function() {
+  http.get({ port: common.PORT, path: '/hello?x=1' }, function(res) {
+    res.resume();
+    res.on('end', function() {
+      server.close();
+      refused();
+    });
+  });
+});
+
+function refused() {
+  // Nothing listens here, so the request fails.
+  var req = http.get({ port: common.PORT, path: '/' });
+  req.on('error', common.mustCall(function() {}));
+}
+
+// Before node 6.1 a connecting socket had _connecting, not connecting.
+function oldSocket() {
+  var socket = new EventEmitter();
+  socket._handle = { fd: 7 };
+  socket._connecting = true;
+  socket.remoteAddress = '127.0.0.1';
+  socket.remotePort = 80;
+
+  var req = new EventEmitter();
+  req.method = 'GET';
+  req.path = '/old';
+  req.socket = socket;
+  req.getHeader = function() {};
+
+  http.ClientRequest.prototype.emit.call(req, 'socket', socket);
+  assert.equal(find('client-request-start').length, 0);
+
+  socket._connecting = false;
+  socket.emit('connect');
+  var start = find('client-request-start');
+  assert.equal(start.length, 1);
+  assert.deepEqual(start[0].args, ['GET', '/old', '127.0.0.1', 80, 7]);
+  fired.length = 0;
+}
+oldSocket();
+
+function find(name) {
+  return fired.filter(function(e) { return e.probe === name; });
+}
+
+process.on('exit', function() {
+  // The refused request never got a connected socket to start on.
+  var clientStart = find('client-request-start');
+  assert.equal(clientStart.length, 1);
+  assert.equal(clientStart[0].args[0], 'GET');
+  assert.equal(clientStart[0].args[1], 'localhost:' + common.PORT +
+                                       '/hello?x=1');
+  assert.ok(clientStart[0].args[2]);
+  assert.equal(clientStart[0].args[3], common.PORT);
+  assert.ok(clientStart[0].args[4] >= 0);
+
+  var serverStart = find('server-request-start');
+  assert.equal(serverStart.length, 1);
+  assert.equal(serverStart[0].args[0], 'GET');
+  assert.equal(serverStart[0].args[1], '/hello?x=1');
+  assert.ok(serverStart[0].args[2]);
+  assert.equal(typeof serverStart[0].args[3], 'number');
+  assert.equal(typeof serverStart[0].args[4], 'number');
+
+  var serverDone = find('server-response-done');
+  assert.equal(serverDone.length, 1);
+  assert.deepEqual(serverDone[0].args.slice(0, 3), ['GET', '/hello?x=1', 201]);
+
+  var clientResponse = find('client-response');
+  assert.equal(clientResponse.length, 1);
+  assert.equal(clientResponse[0].args[2], 201);
+  assert.equal(clientResponse[0].args[4], common.PORT);
+
+  var errors = find('socket-error');
+  assert.equal(errors.length, 1);
+  assert.ok(/ECONNREFUSED/.test(errors[0].args[0]));
+});
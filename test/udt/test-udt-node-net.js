@@ -0,0 +1,76 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var net = require('net');
+
+var tracing = require('../../index.js');
+
+var probes = Object.keys(tracing.list().node.net).sort();
+assert.deepEqual(probes, ['accept', 'close', 'connect', 'data-in', 'data-out']);
+
+var fired = {};
+
+tracing.on('node', 'net', '*', function(args, info) {
+  (fired[info.probe] = fired[info.probe] || []).push(args);
+});
+
+var server = net.createServer(function(conn) {
+  conn.on('data', function(data) {
+    conn.write(data);
+    conn.end();
+  });
+});
+
+server.listen(common.PORT, function() {
+  var client = net.connect(common.PORT, function() {
+    client.write('ping');
+  });
+  client.on('data', function() {});
+  client.on('close', function() {
+    server.close();
+  });
+});
+
+process.on('exit', function() {
+  assert.equal(fired.accept.length, 1);
+  assert.equal(fired.connect.length, 1);
+  assert.equal(fired.connect[0][1], common.PORT);
+  assert.equal(typeof fired.connect[0][2], 'number');
+
+  // Both ends write and read the same four bytes.
+  assert.equal(fired['data-out'].length, 2);
+  fired['data-out'].forEach(function(args) {
+    assert.equal(args[3], 4);
+  });
+  assert.equal(fired['data-in'].length, 2);
+  fired['data-in'].forEach(function(args) {
+    assert.equal(args[3], 4);
+  });
+
+  assert.equal(fired.close.length, 2);
+  fired.close.forEach(function(args) {
+    assert.equal(args[3], 4);
+    assert.equal(args[4], 4);
+  });
+});
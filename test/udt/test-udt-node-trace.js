@@ -0,0 +1,139 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var execFile = require('child_process').execFile;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var tracing = require('../../index.js');
+
+var CLI = path.join(__dirname, '../../bin/node-trace');
+
+var provider = tracing.createProvider({ namespace: 'cli', name: 'mod' });
+provider.addProbe('hit', 'int', 'char *');
+// Untyped, so the single value it fires is passed on as is.
+provider.addProbe('single');
+provider.enable();
+
+assert.equal(tracing.getAgentPath(42),
+             path.join(os.tmpdir(), 'node-trace-42.sock'));
+
+try { fs.mkdirSync(common.tmpDir); } catch (e) {}
+try { fs.unlinkSync(common.PIPE); } catch (e) {}
+
+// Keep something happening for the streaming commands to see.
+var n = 0;
+var timer = setInterval(function() {
+  n++;
+  provider.fire('hit', function() {
+    return [n, 'hit ' + n];
+  });
+  provider.fire('single', function() {
+    return { n: n };
+  });
+  tracing.v8.emit('gc',
+                  { type: 'scavenge', timestamp: 1e6, used_heap_size: 2000 },
+                  { type: 'scavenge', timestamp: 3e6, used_heap_size: 1000 });
+}, 10);
+
+function run(args, cb) {
+  execFile(process.execPath, [CLI].concat(args), { timeout: 10000 },
+           function(er, stdout, stderr) {
+             assert.ifError(er);
+             cb(stdout.split('\n').filter(Boolean));
+           });
+}
+
+function json(lines) {
+  return lines.map(function(line) { return JSON.parse(line); });
+}
+
+// The client loads nothing that would trace or patch the tool itself.
+var root = path.join(__dirname, '../..');
+var loaded = [
+  'require(' + JSON.stringify(path.join(root, 'agent-client')) + ');',
+  'console.log(JSON.stringify(Object.keys(require.cache)));'
+].join('\n');
+
+execFile(process.execPath, ['-e', loaded], function(er, stdout) {
+  assert.ifError(er);
+  var ours = JSON.parse(stdout).filter(function(file) {
+    return file.indexOf(root + path.sep) === 0;
+  });
+  assert.deepEqual(ours, [path.join(root, 'agent-client.js')]);
+});
+
+var server = tracing.serve({ path: common.PIPE }, function() {
+  run(['list', common.PIPE, '--json'], function(lines) {
+    var list = json(lines);
+    assert.equal(list.length, 1);
+    assert.deepEqual(list[0].cli.mod.hit.signature, ['int', 'char *']);
+
+    run(['list', common.PIPE], function(lines) {
+      assert.notEqual(lines.indexOf('cli:mod:hit(int, char *)'), -1);
+
+      run(['watch', common.PIPE, 'cli:*:hit', '--count', '3', '--json'],
+          function(lines) {
+        var events = json(lines);
+        assert.equal(events.length, 3);
+        events.forEach(function(event) {
+          assert.equal(event.probe, 'hit');
+          assert.equal(event.args[1], 'hit ' + event.args[0]);
+        });
+
+        run(['gc', common.PIPE, '--count', '2'], function(lines) {
+          assert.equal(lines.length, 2);
+          assert(/ scavenge 2\.000ms /.test(lines[0]), lines[0]);
+
+          run(['heap', common.PIPE, '--count', '2', '--interval', '10',
+               '--json'], function(lines) {
+            var samples = json(lines);
+            assert.equal(samples.length, 2);
+            assert.equal(typeof samples[0].used_heap_size, 'number');
+            assert.equal(typeof samples[0].heap_size_limit, 'number');
+
+            run(['watch', common.PIPE, 'cli:*:*', '--duration', '0.2'],
+                function(lines) {
+              assert(lines.length > 0);
+              assert(lines.some(function(line) {
+                return / cli:mod:hit \d+ "hit \d+"$/.test(line);
+              }), lines);
+
+              run(['watch', common.PIPE, 'cli:*:single', '--count', '1'],
+                  function(lines) {
+                assert.equal(lines.length, 1);
+                assert(/ cli:mod:single \{"n":\d+\}$/.test(lines[0]),
+                       lines[0]);
+
+                clearInterval(timer);
+                server.close();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
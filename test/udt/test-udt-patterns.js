@@ -0,0 +1,71 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+
+var tracing = require('../../index.js');
+
+var fired = {};
+
+function record(key) {
+  fired[key] = [];
+  return function(args, info) {
+    fired[key].push(info.namespace + ':' + info.name + ':' + info.probe);
+  };
+}
+
+var db = tracing.createProvider({ namespace: 'myapp', name: 'db-pg' });
+db.addProbe('query-start', 'char *');
+db.addProbe('query-done', 'char *');
+db.enable();
+
+var web = tracing.createProvider({ namespace: 'httpd', name: 'server' });
+web.addProbe('request', 'char *');
+web.enable();
+
+tracing.on('myapp', 'db-pg', 'query-start', record('exact'));
+tracing.on('*', '*', '*', record('all'));
+tracing.on('http*', '*', '*', record('glob'));
+tracing.on('myapp:db-*:query-start', record('shorthand'));
+tracing.on('myapp', '*', /-done$/, record('regexp'));
+tracing.on('myapp', 'db-p?', '*', record('single'));
+tracing.on('myapp:db', record('partial'));
+
+db.fire('query-start', function() { return ['select 1']; });
+db.fire('query-done', function() { return ['select 1']; });
+web.fire('request', function() { return ['/']; });
+
+assert.deepEqual(fired.exact, ['myapp:db-pg:query-start']);
+assert.deepEqual(fired.all, ['myapp:db-pg:query-start',
+                             'myapp:db-pg:query-done',
+                             'httpd:server:request']);
+assert.deepEqual(fired.glob, ['httpd:server:request']);
+assert.deepEqual(fired.shorthand, ['myapp:db-pg:query-start']);
+assert.deepEqual(fired.regexp, ['myapp:db-pg:query-done']);
+assert.deepEqual(fired.single, ['myapp:db-pg:query-start',
+                                'myapp:db-pg:query-done']);
+assert.deepEqual(fired.partial, []);
+
+assert.throws(function() {
+  tracing.on('myapp', 42, '*', function() {});
+}, TypeError);
@@ -0,0 +1,86 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var stream = require('stream');
+
+var tracing = require('../../index.js');
+
+var provider = tracing.createProvider({ namespace: 'rec', name: 'mod' });
+provider.addProbe('hit', 'int');
+provider.addProbe('miss', 'int');
+provider.enable();
+
+assert.throws(function() {
+  tracing.createRecorder({ size: 0 });
+}, TypeError);
+
+var recorder = tracing.createRecorder({ size: 3, filter: 'rec:mod:hit' });
+var odd = tracing.createRecorder({
+  filter: function(args, info) {
+    return args[0] % 2 === 1;
+  }
+});
+
+for (var i = 0; i < 5; i++) {
+  provider.fire('hit', function() { return [i]; });
+  provider.fire('miss', function() { return [i]; });
+}
+
+// Only the last three matching firings are kept, oldest first.
+var events = recorder.snapshot();
+assert.equal(events.length, 3);
+assert.deepEqual(events.map(function(event) {
+  return event.args[0];
+}), [2, 3, 4]);
+events.forEach(function(event) {
+  assert.equal(typeof event.timestamp, 'number');
+  assert.equal(event.namespace, 'rec');
+  assert.equal(event.provider, 'mod');
+  assert.equal(event.probe, 'hit');
+});
+
+assert.deepEqual(odd.snapshot().map(function(event) {
+  return event.probe + event.args[0];
+}), ['hit1', 'miss1', 'hit3', 'miss3']);
+
+var out = '';
+var sink = new stream.Writable();
+sink._write = function(chunk, encoding, cb) {
+  out += chunk;
+  cb();
+};
+
+recorder.dump(sink);
+var lines = out.trim().split('\n').map(JSON.parse);
+assert.deepEqual(lines, events);
+
+recorder.clear();
+assert.deepEqual(recorder.snapshot(), []);
+
+provider.fire('hit', function() { return [5]; });
+assert.equal(recorder.snapshot().length, 1);
+
+recorder.close();
+provider.fire('hit', function() { return [6]; });
+assert.equal(recorder.snapshot().length, 1);
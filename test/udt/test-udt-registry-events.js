@@ -0,0 +1,123 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+
+var common = require('../common');
+var assert = require('assert');
+var EventEmitter = require('events');
+
+var tracing = require('../../index.js');
+
+var events = [];
+
+function record(event) {
+  return function(subject) {
+    var name = subject.namespace ?
+        subject.namespace + ':' + subject.name :
+        subject.provider.name + ':' + subject.name;
+    events.push(event + ' ' + name);
+  };
+}
+
+var onProvider = record('provider');
+var onAdded = record('probe-added');
+var onRemoved = record('probe-removed');
+var onEnable = record('enable');
+var onDisable = record('disable');
+
+tracing.registry.on('provider', onProvider);
+tracing.registry.on('probe-added', onAdded);
+tracing.registry.on('probe-removed', onRemoved);
+tracing.registry.on('enable', onEnable);
+tracing.registry.on('disable', onDisable);
+
+var provider = tracing.createProvider({ namespace: 'reg', name: 'mod' });
+provider.addProbe('ping', 'int');
+// Adding an existing probe changes nothing.
+provider.addProbe('ping', 'int');
+provider.enable();
+provider.enable();
+provider.addProbe('pong', 'int');
+provider.removeProbe('pong');
+provider.disable();
+
+assert.deepEqual(events, [
+  'provider reg:mod',
+  'probe-added mod:ping',
+  'enable reg:mod',
+  'probe-added mod:pong',
+  'probe-removed mod:pong',
+  'disable reg:mod'
+]);
+
+// The providers behind a fan-out provider are not announced.
+events = [];
+var fanout = tracing.createProvider({
+  namespace: 'reg',
+  name: 'fanout',
+  backend: ['js', 'js']
+});
+fanout.addProbe('ping', 'int');
+
+assert.deepEqual(events, [
+  'provider reg:fanout',
+  'probe-added fanout:ping'
+]);
+
+tracing.registry.removeListener('provider', onProvider);
+tracing.registry.removeAllListeners('probe-added');
+tracing.on('reg:mod:ping', function() {});
+
+// The event names are still plain namespaces to on().
+var shorthand = tracing.createProvider({ namespace: 'provider', name: 'x' });
+shorthand.addProbe('hit');
+shorthand.enable();
+var hits = 0;
+tracing.on('provider', function() { hits++; });
+shorthand.fire('hit');
+assert.equal(hits, 1);
+assert.equal(EventEmitter.listenerCount(tracing.registry, 'provider'), 0);
+
+events = [];
+tracing.createProvider({ namespace: 'reg', name: 'quiet' }).addProbe('x');
+assert.deepEqual(events, []);
+
+var onceCalls = 0;
+tracing.registry.once('enable', function(provider) {
+  onceCalls++;
+  assert.equal(provider.name, 'mod');
+});
+provider.enable();
+provider.disable();
+provider.enable();
+assert.equal(onceCalls, 1);
+
+// list() reports whether probes would fire and who listens.
+var list = tracing.list();
+assert.deepEqual(list.reg.mod.ping, {
+  signature: ['int'],
+  enabled: true,
+  listeners: 1,
+  dropped: 0
+});
+assert.equal(list.reg.fanout.ping.enabled, false);
+assert.equal(list.reg.fanout.ping.listeners, 0);
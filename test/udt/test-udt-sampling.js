@@ -0,0 +1,142 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+
+var common = require('../common');
+var assert = require('assert');
+
+var tracing = require('../../index.js');
+
+var provider = tracing.createProvider({ namespace: 'sample', name: 'mod' });
+var probe = provider.addProbe('hot', 'int');
+provider.enable();
+
+var marshalled = 0;
+
+function fire(n) {
+  for (var i = 0; i < n; i++) {
+    provider.fire('hot', function() {
+      marshalled++;
+      return [i];
+    });
+  }
+}
+
+assert.throws(function() {
+  tracing.on('sample:mod:hot', function() {}, { sampleRate: 2 });
+}, RangeError);
+
+assert.throws(function() {
+  tracing.on('sample:mod:hot', function() {}, { every: 0.5 });
+}, RangeError);
+
+assert.throws(function() {
+  tracing.on('sample:mod:hot', function() {}, { maxPerSecond: 0 });
+}, RangeError);
+
+// every: N takes the first firing and every Nth after it.
+var every = [];
+function onEvery(args) {
+  every.push(args[0]);
+}
+tracing.on('sample:mod:hot', onEvery, { every: 3 });
+
+fire(7);
+assert.deepEqual(every, [0, 3, 6]);
+assert.equal(probe.dropped, 4);
+
+// Firings nobody takes are never marshalled.
+assert.equal(marshalled, 3);
+
+tracing.removeListener('sample:mod:hot', onEvery);
+probe.dropped = 0;
+
+// A rate of 0 drops everything.
+marshalled = 0;
+function never() {
+  assert(false, 'sampled out listener called');
+}
+tracing.on('sample', 'mod', 'hot', never, { sampleRate: 0 });
+fire(10);
+assert.equal(marshalled, 0);
+assert.equal(probe.dropped, 10);
+assert.equal(tracing.list().sample.mod.hot.dropped, 10);
+
+// Other listeners still get everything, marshalled once.
+var all = 0;
+function onAll() {
+  all++;
+}
+tracing.on('sample:mod:hot', onAll);
+fire(5);
+assert.equal(all, 5);
+assert.equal(marshalled, 5);
+
+tracing.removeListener('sample:mod:hot', never);
+tracing.removeListener('sample:mod:hot', onAll);
+
+// Subscribing a listener again replaces its options, rather than adding
+// it a second time or keeping the ones it had.
+var replaced = 0;
+function onReplaced() {
+  replaced++;
+}
+tracing.on('sample:mod:hot', onReplaced);
+tracing.on('sample:mod:hot', onReplaced, { every: 1000 });
+fire(5);
+assert.equal(replaced, 1);
+
+tracing.on('sample:mod:hot', onReplaced, { sampleRate: 1 });
+fire(5);
+assert.equal(replaced, 6);
+
+tracing.on('sample:mod:hot', onReplaced);
+fire(1);
+assert.equal(replaced, 7);
+
+tracing.removeListener('sample:mod:hot', onReplaced);
+fire(1);
+assert.equal(replaced, 7);
+probe.dropped = 0;
+
+// maxPerSecond allows a second's worth at once, then refills over time.
+var limited = 0;
+function onLimited() {
+  limited++;
+}
+tracing.on('sample:mod:hot', onLimited, { maxPerSecond: 5 });
+fire(20);
+assert.equal(limited, 5);
+
+setTimeout(function() {
+  fire(20);
+  assert(limited > 5 && limited <= 10, limited);
+  tracing.removeListener('sample:mod:hot', onLimited);
+
+  // once() takes options too.
+  var onceCalls = [];
+  tracing.once('sample:mod:hot', function(args) {
+    onceCalls.push(args[0]);
+  }, { every: 2 });
+  fire(4);
+  assert.deepEqual(onceCalls, [0]);
+}, 300);
@@ -0,0 +1,132 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+
+var tracing = require('../../index.js');
+
+var provider = tracing.createProvider({
+  namespace: 'sig',
+  name: 'loose',
+  coerce: true
+});
+
+provider.addProbe('query', 'char *', 'int32');
+
+// Aliases of the same type are the same signature.
+provider.addProbe('query', 'string', 'int32');
+provider.addProbe('query', ['char *', 'int32']);
+
+assert.throws(function() {
+  provider.addProbe('query', 'char *', 'uint8');
+}, /sig:loose:query added with signature/);
+
+assert.throws(function() {
+  provider.addProbe('query', 'char *');
+}, /added with signature/);
+
+assert.throws(function() {
+  provider.addProbe('bogus', 'float');
+}, TypeError);
+
+provider.addProbe('types', 'char *', 'int32', 'uint8', 'int8', 'json', 'int');
+provider.enable();
+
+var received;
+tracing.on('sig', '*', 'types', function(args) {
+  received = args;
+});
+
+var obj = { a: 1, fn: function() {} };
+
+provider.fire('types', function() {
+  return [42, 3000000000.7, -5, '12.9', obj, 'abc'];
+});
+
+assert.deepEqual(received, ['42', 2147483647, 0, 12, { a: 1 }, 0]);
+// JSON arguments are serialized, so listeners never see the original.
+assert.notStrictEqual(received[4], obj);
+
+// Missing arguments take on the default for their type, extra ones are
+// dropped.
+provider.fire('types', function() { return [null]; });
+assert.deepEqual(received, ['', 0, 0, 0, null, 0]);
+
+var strict = tracing.createProvider({
+  namespace: 'sig',
+  name: 'strict',
+  strict: true
+});
+strict.addProbe('types', 'char *', 'uint8', 'json');
+strict.enable();
+
+strict.fire('types', function() { return ['ok', 255, [1, 2]]; });
+assert.deepEqual(received, ['ok', 255, [1, 2]]);
+
+assert.throws(function() {
+  strict.fire('types', function() { return ['ok', 256, null]; });
+}, /Argument 1 of probe sig:strict:types should be uint8/);
+
+assert.throws(function() {
+  strict.fire('types', function() { return [1, 1, null]; });
+}, /Argument 0 of probe sig:strict:types should be char \*/);
+
+assert.throws(function() {
+  strict.fire('types', function() { return ['ok', 1.5, null]; });
+}, TypeError);
+
+assert.throws(function() {
+  strict.fire('types', function() { return ['ok', 1]; });
+}, /expects 3 arguments, got 2/);
+
+var cycle = {};
+cycle.self = cycle;
+assert.throws(function() {
+  strict.fire('types', function() { return ['ok', 1, cycle]; });
+}, /should be json/);
+
+// By default listeners get the arguments exactly as marshalled.
+var plain = tracing.createProvider({ namespace: 'sig', name: 'plain' });
+plain.addProbe('types', 'char *', 'int32');
+plain.addProbe('untyped');
+plain.enable();
+
+var plainReceived;
+tracing.on('sig', 'plain', '*', function(args) {
+  plainReceived = args;
+});
+
+plain.fire('types', function() { return [obj, 1.5, 'extra']; });
+assert.deepEqual(plainReceived, [obj, 1.5, 'extra']);
+assert.strictEqual(plainReceived[0], obj);
+
+plain.fire('untyped', function() { return ['a', 2]; });
+assert.deepEqual(plainReceived, ['a', 2]);
+
+// Nor do probes without a signature when coercing.
+provider.addProbe('untyped');
+tracing.on('sig:loose:untyped', function(args) {
+  received = args;
+});
+provider.fire('untyped', function() { return [obj]; });
+assert.strictEqual(received[0], obj);
@@ -0,0 +1,154 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+
+var tracing = require('../../index.js');
+
+tracing.enableSpans();
+
+var provider = tracing.createProvider({ namespace: 'span', name: 'app' });
+provider.enable();
+
+var fired = [];
+
+tracing.on('span', 'app', '*', function(args, info) {
+  fired.push({ probe: info.probe, args: args });
+});
+
+assert.strictEqual(tracing.getCurrentSpan(), null);
+
+var root = provider.createSpan('request', { url: '/' });
+
+assert.equal(root.traceId.length, 32);
+assert.equal(root.id.length, 16);
+assert.strictEqual(root.parentId, null);
+assert.ok(provider.probes['request-start']);
+assert.ok(provider.probes['request-done']);
+
+assert.deepEqual(fired[0], {
+  probe: 'request-start',
+  args: [root.traceId, root.id, '', { url: '/' }]
+});
+
+var child, grandchild;
+
+root.run(function(span) {
+  assert.strictEqual(span, root);
+  assert.strictEqual(tracing.getCurrentSpan(), root);
+
+  setImmediate(common.mustCall(function() {
+    assert.strictEqual(tracing.getCurrentSpan(), root);
+
+    child = provider.createSpan('query');
+    assert.equal(child.traceId, root.traceId);
+    assert.equal(child.parentId, root.id);
+
+    child.run(function() {
+      process.nextTick(common.mustCall(function() {
+        grandchild = provider.createSpan('parse');
+        assert.equal(grandchild.parentId, child.id);
+        grandchild.end();
+        child.end({ rows: 1 });
+      }));
+    });
+
+    assert.strictEqual(tracing.getCurrentSpan(), root);
+  }));
+});
+
+assert.strictEqual(tracing.getCurrentSpan(), null);
+
+var bound = root.bind(function() {
+  return tracing.getCurrentSpan();
+});
+assert.strictEqual(bound(), root);
+
+// An unrelated span started outside of root is a new trace.
+var other = provider.createSpan('request');
+assert.notEqual(other.traceId, root.traceId);
+assert.strictEqual(other.parentId, null);
+
+process.on('exit', function() {
+  root.end();
+  // Ending twice is a no-op.
+  root.end();
+
+  var done = fired.filter(function(e) {
+    return /-done$/.test(e.probe);
+  });
+
+  assert.deepEqual(done.map(function(e) { return e.probe; }),
+                   ['parse-done', 'query-done', 'request-done']);
+  assert.deepEqual(done[1].args.slice(0, 3),
+                   [root.traceId, child.id, root.id]);
+  assert.equal(typeof done[1].args[3], 'number');
+  assert(done[1].args[3] >= 0);
+  assert.deepEqual(done[1].args[4], { rows: 1 });
+  assert.equal(root.duration, done[2].args[3]);
+});
+
+// Spans are followed from the root context, so the first span run inside
+// a callback of another namespace does not leave later ones behind.
+var cls = tracing.createNamespace('span-test');
+
+cls.run(function() {
+  setImmediate(function() {
+    provider.createSpan('nested').run(function() {});
+
+    setTimeout(common.mustCall(function() {
+      var later = provider.createSpan('later');
+      later.run(function() {
+        setTimeout(common.mustCall(function() {
+          assert.strictEqual(tracing.getCurrentSpan(), later);
+        }));
+      });
+    }));
+  });
+});
+
+// Loading udt.js alone leaves async-listener.js, and so the patching of
+// nextTick, timers and promises, until spans are enabled. Running a span
+// before that is an error rather than one that is not followed.
+var path = require('path');
+var execFile = require('child_process').execFile;
+var repo = path.join(__dirname, '../..');
+var script = [
+  'var udt = require(' + JSON.stringify(path.join(repo, 'udt')) + ');',
+  'var loaded = Object.keys(require.cache);',
+  'var provider = udt.createProvider({ namespace: "span", name: "alone" });',
+  'provider.enable();',
+  'var error = null;',
+  'try { provider.createSpan("request").run(function() {}); }',
+  'catch (e) { error = e.message; }',
+  'console.log(JSON.stringify({ loaded: loaded, error: error }));'
+].join('\n');
+
+execFile(process.execPath, ['-e', script], function(er, stdout) {
+  assert.ifError(er);
+  var result = JSON.parse(stdout);
+  assert.ok(/Spans are not enabled/.test(result.error));
+  var loaded = result.loaded;
+  assert.equal(loaded.indexOf(path.join(repo, 'async-listener.js')), -1);
+  assert.equal(loaded.indexOf(path.join(repo, 'context.js')), -1);
+});
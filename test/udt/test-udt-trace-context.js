@@ -0,0 +1,162 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var http = require('http');
+
+var tracing = require('../../index.js');
+
+tracing.enableSpans();
+
+var TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+var PARENT_ID = '00f067aa0ba902b7';
+
+assert.strictEqual(tracing.getCurrentTraceContext(), null);
+
+var received = {};
+
+var server = http.createServer(function(req, res) {
+  var ctx = tracing.getCurrentTraceContext();
+  received[req.url] = { ctx: ctx, headers: req.headers };
+
+  if (req.url === '/written') {
+    written(res);
+    return;
+  }
+
+  if (req.url !== '/front') {
+    res.end();
+    return;
+  }
+
+  // Calls made while handling a request continue its trace.
+  http.get({ port: common.PORT, path: '/back' }, function(back) {
+    back.resume();
+    back.on('end', function() {
+      res.end();
+    });
+  });
+});
+
+server.listen(common.PORT, function() {
+  var req = http.request({
+    port: common.PORT,
+    path: '/front',
+    headers: {
+      traceparent: '00-' + TRACE_ID + '-' + PARENT_ID + '-01',
+      tracestate: 'congo=t61rcWkgMzE'
+    }
+  }, function(res) {
+    res.resume();
+    res.on('end', function() {
+      invalid();
+    });
+  });
+  req.end();
+});
+
+// Requests with a broken traceparent start a new trace.
+function invalid() {
+  http.get({
+    port: common.PORT,
+    path: '/invalid',
+    headers: { traceparent: 'ff-' + TRACE_ID + '-' + PARENT_ID + '-01' }
+  }, function(res) {
+    res.resume();
+    res.on('end', function() {
+      untraced();
+    });
+  });
+}
+
+// Requests made outside of any trace carry no trace context.
+function untraced() {
+  http.get({ port: common.PORT, path: '/untraced' }, function(res) {
+    res.resume();
+    res.on('end', function() {
+      http.get({ port: common.PORT, path: '/written' }, function(res) {
+        res.resume();
+        res.on('end', function() {
+          server.close();
+        });
+      });
+    });
+  });
+}
+
+// Array headers and Expect make http.request() write the headers right
+// away, so there is no adding to them afterwards.
+function written(res) {
+  var pending = 2;
+
+  function done(back) {
+    back.resume();
+    back.on('end', function() {
+      if (--pending === 0)
+        res.end();
+    });
+  }
+
+  http.request({
+    port: common.PORT,
+    method: 'PUT',
+    path: '/expect',
+    headers: { Expect: '100-continue' }
+  }, done).end();
+
+  http.request({
+    port: common.PORT,
+    path: '/array',
+    headers: [['Host', 'localhost:' + common.PORT]]
+  }, done).end();
+}
+
+process.on('exit', function() {
+  var front = received['/front'].ctx;
+  assert.equal(front.traceId, TRACE_ID);
+  assert.equal(front.parentId, PARENT_ID);
+  assert.equal(front.spanId.length, 16);
+  assert.notEqual(front.spanId, PARENT_ID);
+  assert.equal(front.traceFlags, 1);
+  assert.strictEqual(front.sampled, true);
+  assert.equal(front.traceState, 'congo=t61rcWkgMzE');
+
+  var back = received['/back'];
+  assert.equal(back.headers.traceparent,
+               '00-' + TRACE_ID + '-' + front.spanId + '-01');
+  assert.equal(back.headers.tracestate, 'congo=t61rcWkgMzE');
+  assert.equal(back.ctx.traceId, TRACE_ID);
+  assert.equal(back.ctx.parentId, front.spanId);
+
+  var fresh = received['/invalid'].ctx;
+  assert.notEqual(fresh.traceId, TRACE_ID);
+  assert.strictEqual(fresh.parentId, null);
+  assert.strictEqual(fresh.sampled, true);
+  assert.equal(fresh.traceState, '');
+
+  assert.strictEqual(received['/untraced'].headers.traceparent, undefined);
+  assert.strictEqual(received['/expect'].headers.traceparent, undefined);
+  assert.strictEqual(received['/array'].headers.traceparent, undefined);
+  assert.ok(received['/expect'].ctx);
+  assert.ok(received['/array'].ctx);
+});
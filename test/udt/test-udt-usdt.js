@@ -0,0 +1,110 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+
+var common = require('../common');
+var assert = require('assert');
+var spawn = require('child_process').spawn;
+var util = require('util');
+
+if (process.platform !== 'linux' || process.config.variables.node_use_dtrace) {
+  console.log('1..0 # Skipped: USDT is only used on Linux without DTrace');
+  return;
+}
+
+// Unless the real module is installed, run against the stand-in from the
+// fixtures, which has to be on NODE_PATH before anything is loaded.
+if (process.argv[2] !== 'child') {
+  var env = util._extend({}, process.env);
+  env.NODE_PATH = common.fixturesDir;
+
+  var child = spawn(process.execPath, [__filename, 'child'], {
+    env: env,
+    stdio: 'inherit'
+  });
+  child.on('exit', common.mustCall(function(code) {
+    assert.equal(code, 0);
+  }));
+  return;
+}
+
+var usdt = require('usdt');
+var tracing = require('../../index.js');
+
+var db = tracing.createProvider({ namespace: 'usdttest', name: 'db' });
+var http = tracing.createProvider({ namespace: 'usdttest', name: 'http-x' });
+
+// The provider is backed by a libstapsdt stub.
+assert(db._handle);
+
+assert.throws(function() {
+  db.addProbe('wide', 'int', 'int', 'int', 'int', 'int', 'int', 'int');
+}, RangeError);
+
+var query = db.addProbe('query', 'char *', 'int32', 'json');
+assert(query.uprobe);
+
+// Probes of the same name in two providers of a namespace don't collide.
+http.addProbe('query', 'uint8');
+
+db.enable();
+http.enable();
+
+// Probes added or removed once enabled rebuild the stub.
+var late = db.addProbe('late', 'uint8');
+assert(late.uprobe);
+db.removeProbe('late');
+assert.equal(late.uprobe, null);
+assert(query.uprobe);
+
+var received;
+tracing.on('usdttest:db:query', function(args) {
+  received = args;
+});
+
+db.fire('query', function() {
+  return ['select', 42, { rows: 1 }];
+});
+
+// JSON is only serialized for USDT, listeners still get the value.
+assert.deepEqual(received, ['select', 42, { rows: 1 }]);
+
+if (usdt.providers) {
+  var stubs = usdt.providers.filter(function(stub) {
+    return stub.enabled;
+  });
+
+  assert.deepEqual(stubs.map(function(stub) { return stub.name; }).sort(),
+                   ['usdttest_db', 'usdttest_http_x']);
+
+  var stub = stubs.filter(function(stub) {
+    return stub.name === 'usdttest_db';
+  })[0];
+
+  assert.deepEqual(stub.probes.map(function(probe) { return probe.name; }),
+                   ['query']);
+  assert.deepEqual(stub.probes[0].types, ['char *', 'int32_t', 'char *']);
+  assert.deepEqual(stub.probes[0].fired, [['select', 42, '{"rows":1}']]);
+}
+
+db.disable();
+http.disable();
@@ -0,0 +1,74 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var v8 = require('../../index.js').v8;
+
+var stats = v8.createGCStats();
+
+function gc(type, pauseMs, usedBefore, usedAfter) {
+  var start = 1e12;
+  v8.emit('gc', {
+    type: type,
+    timestamp: start,
+    used_heap_size: usedBefore
+  }, {
+    type: type,
+    timestamp: start + pauseMs * 1e6,
+    used_heap_size: usedAfter
+  });
+}
+
+for (var i = 1; i <= 100; i++)
+  gc('scavenge', i / 10, 2000, 1000);
+
+gc('mark-sweep-compact', 50, 10000, 4000);
+
+var json = JSON.parse(JSON.stringify(stats));
+
+assert.equal(json.count, 101);
+assert.equal(json.maxPause, 50);
+assert(Math.abs(json.totalPause - 555) < 1e-6);
+// Percentiles are only as exact as the histogram buckets they come from.
+function near(actual, expected) {
+  assert(Math.abs(actual - expected) / expected < 0.02,
+         actual + ' is not close to ' + expected);
+}
+near(json.p50, 5.1);
+near(json.p90, 9.1);
+near(json.p99, 10);
+
+assert.equal(json.types.scavenge.count, 100);
+assert.equal(json.types.scavenge.reclaimed, 100000);
+assert(Math.abs(json.types.scavenge.maxPause - 10) < 1e-6);
+assert.equal(json.types['mark-sweep-compact'].count, 1);
+assert.equal(json.types['mark-sweep-compact'].reclaimed, 6000);
+
+stats.reset();
+assert.equal(stats.count, 0);
+assert.deepEqual(stats.toJSON().types, {});
+
+stats.stop();
+gc('scavenge', 1, 2, 1);
+assert.equal(stats.count, 0);
+assert.equal(v8.listeners('gc').length, 0);
@@ -0,0 +1,106 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var v8 = require('../../index.js').v8;
+
+var getHeapStatistics = v8.getHeapStatistics;
+var used = 0;
+
+v8.getHeapStatistics = function() {
+  var stats = getHeapStatistics();
+  stats.used_heap_size = used;
+  stats.heap_size_limit = 1000;
+  return stats;
+};
+
+function gc() {
+  v8.emit('gc', { type: 'scavenge' }, { type: 'scavenge' });
+}
+
+assert.throws(function() {
+  v8.setHeapPressureThresholds([0.9, 0.5]);
+}, RangeError);
+assert.throws(function() {
+  v8.setHeapPressureThresholds([]);
+}, TypeError);
+
+v8.setHeapPressureThresholds([0.5, 0.8], { hysteresis: 0.1 });
+
+var events = [];
+
+function onpressure(info) {
+  events.push(info);
+}
+
+// Nothing is checked until someone listens.
+used = 900;
+gc();
+v8.on('pressure', onpressure);
+assert.equal(events.length, 0);
+
+used = 100;
+gc();
+assert.equal(events.length, 0);
+
+// Jumping straight past both thresholds is a single event.
+used = 850;
+gc();
+assert.equal(events.length, 1);
+assert.equal(events[0].level, 2);
+assert.equal(events[0].previous, 0);
+assert.equal(events[0].direction, 'up');
+assert.equal(events[0].threshold, 0.8);
+assert.equal(events[0].used, 850);
+assert.equal(events[0].limit, 1000);
+assert.equal(events[0].ratio, 0.85);
+assert.equal(typeof events[0].trend, 'number');
+
+// Within the hysteresis band nothing changes.
+used = 750;
+gc();
+used = 810;
+gc();
+assert.equal(events.length, 1);
+
+used = 650;
+gc();
+assert.equal(events.length, 2);
+assert.equal(events[1].level, 1);
+assert.equal(events[1].direction, 'down');
+assert.equal(events[1].threshold, 0.5);
+
+used = 100;
+gc();
+assert.equal(events.length, 3);
+assert.equal(events[2].level, 0);
+assert.equal(events[2].threshold, 0);
+
+v8.removeListener('pressure', onpressure);
+assert.equal(v8.listeners('gc').length, 0);
+
+used = 900;
+gc();
+assert.equal(events.length, 3);
+
+v8.getHeapStatistics = getHeapStatistics;
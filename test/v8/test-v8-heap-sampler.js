@@ -0,0 +1,91 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var common = require('../common');
+var assert = require('assert');
+var v8 = require('../../index.js').v8;
+
+var getHeapStatistics = v8.getHeapStatistics;
+var used = 1000;
+
+v8.getHeapStatistics = function() {
+  var stats = getHeapStatistics();
+  stats.used_heap_size = used;
+  return stats;
+};
+
+function gc(type) {
+  v8.emit('gc', { type: type }, { type: type });
+}
+
+assert.throws(function() {
+  v8.createHeapSampler({ window: 1 });
+}, RangeError);
+
+var sampler = v8.createHeapSampler({ interval: 10, size: 5, window: 3 });
+var samples = [];
+var suspects = [];
+
+sampler.on('sample', function(sample) {
+  samples.push(sample);
+});
+sampler.on('leak-suspect', function(info) {
+  suspects.push(info);
+});
+
+// Only full collections produce baselines.
+gc('scavenge');
+assert.equal(samples.length, 0);
+
+gc('mark-sweep-compact');
+assert.equal(samples.length, 1);
+assert.equal(samples[0].baseline, true);
+assert.equal(samples[0].used_heap_size, 1000);
+assert.equal(typeof samples[0].heap_size_limit, 'number');
+assert.equal(typeof samples[0].timestamp, 'number');
+
+// Growth that is not sustained is not a leak.
+used = 900;
+gc('mark-sweep-compact');
+used = 1100;
+gc('mark-sweep-compact');
+assert.equal(suspects.length, 0);
+
+setTimeout(function() {
+  used = 1200;
+  gc('mark-sweep-compact');
+
+  assert.equal(suspects.length, 1);
+  assert.equal(suspects[0].window, 3);
+  assert(suspects[0].slope > 0);
+  assert.deepEqual(suspects[0].samples.map(function(sample) {
+    return sample.used_heap_size;
+  }), [900, 1100, 1200]);
+
+  // The interval samples are not baselines, and the series is bounded.
+  assert(samples.some(function(sample) { return !sample.baseline; }));
+  assert.equal(sampler.samples.length, 5);
+
+  sampler.stop();
+  v8.getHeapStatistics = getHeapStatistics;
+  assert.equal(v8.listeners('gc').length, 0);
+}, 100);
@@ -0,0 +1,175 @@
+// Copyright Joyent, Inc. and other Node contributors.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+
+var http = require('http');
+var util = require('util');
+var span = require('./span');
+var asyncListener = require('./async-listener');
+
+// Hooks into http before the hooks below, so the node:http probes fire
+// inside the trace context of a request.
+require('./node-http');
+
+// W3C Trace Context, https://www.w3.org/TR/trace-context/. Once spans are
+// enabled, incoming http.Server requests are run in the trace context from
+// their traceparent and tracestate headers, and outgoing http.request()
+// calls made inside a trace carry it along.
+
+var TRACEPARENT_RE =
+    /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+var INVALID_TRACE_ID = '00000000000000000000000000000000';
+var INVALID_SPAN_ID = '0000000000000000';
+
+
+// The part of a trace that crosses process boundaries. Shaped like a Span,
+// so spans created while it is active become its children.
+function TraceContext(traceId, id, parentId, traceFlags, traceState) {
+  this.traceId = traceId;
+  this.id = id;
+  this.parentId = parentId;
+  this.traceFlags = traceFlags;
+  this.traceState = traceState;
+}
+
+
+function parseTraceParent(header) {
+  var match = util.isString(header) && TRACEPARENT_RE.exec(header.trim());
+
+  if (!match)
+    return null;
+
+  var version = match[1];
+
+  // Version ff is invalid, and version 00 has nothing after the flags.
+  // Later versions may add fields, which are ignored.
+  if (version === 'ff' || (version === '00' && match[5]))
+    return null;
+
+  if (match[2] === INVALID_TRACE_ID || match[3] === INVALID_SPAN_ID)
+    return null;
+
+  return {
+    traceId: match[2],
+    parentId: match[3],
+    traceFlags: parseInt(match[4], 16)
+  };
+}
+
+
+function formatTraceParent(traceId, spanId, traceFlags) {
+  var flags = (traceFlags & 0xff).toString(16);
+  if (flags.length < 2)
+    flags = '0' + flags;
+  return '00-' + traceId + '-' + spanId + '-' + flags;
+}
+
+
+// Build the context for a request that came in with headers. Without a
+// valid traceparent, and so without a tracestate, it starts a new trace.
+function extract(headers) {
+  var parent = parseTraceParent(headers.traceparent);
+
+  if (!parent) {
+    return new TraceContext(span.randomId(16),
+                            span.randomId(8),
+                            null,
+                            span.FLAG_SAMPLED,
+                            '');
+  }
+
+  var traceState = headers.tracestate;
+  if (util.isArray(traceState))
+    traceState = traceState.join(',');
+
+  return new TraceContext(parent.traceId,
+                          span.randomId(8),
+                          parent.parentId,
+                          parent.traceFlags,
+                          traceState || '');
+}
+
+
+// Add the current trace context to an outgoing request, unless the caller
+// already set one. Requests made outside of any trace go out untouched, as
+// do those whose headers were written when the request was created, which
+// is the case for array headers and for Expect.
+function inject(req) {
+  var current = span.getCurrentSpan();
+
+  if (!current || req._header || req.getHeader('traceparent'))
+    return;
+
+  req.setHeader('traceparent',
+                formatTraceParent(current.traceId,
+                                  current.id,
+                                  current.traceFlags));
+
+  if (current.traceState)
+    req.setHeader('tracestate', current.traceState);
+}
+
+
+var _emit = http.Server.prototype.emit;
+
+http.Server.prototype.emit = function(type, req, res) {
+  if (type !== 'request' || !span.isEnabled())
+    return _emit.apply(this, arguments);
+
+  var self = this;
+  var args = arguments;
+
+  return span.runWithSpan(extract(req.headers), function() {
+    // Listeners the handler adds to req and res run in this context too,
+    // not in that of the socket that emits their events.
+    asyncListener.bindEmitter(req);
+    asyncListener.bindEmitter(res);
+    return _emit.apply(self, args);
+  });
+};
+
+
+var _request = http.request;
+
+http.request = function request(options, cb) {
+  var req = _request.apply(this, arguments);
+  inject(req);
+  return req;
+};
+
+
+// Return the trace context active right now, or null outside of any
+// trace. sampled reflects the sampled bit of traceFlags.
+exports.getCurrentTraceContext = function() {
+  var current = span.getCurrentSpan();
+
+  if (!current)
+    return null;
+
+  return {
+    traceId: current.traceId,
+    spanId: current.id,
+    parentId: current.parentId,
+    traceFlags: current.traceFlags,
+    sampled: (current.traceFlags & span.FLAG_SAMPLED) !== 0,
+    traceState: current.traceState
+  };
+};
@@ -22,7 +22,9 @@
 var assert = require('assert');
 var util = require('util');
 var EventEmitter = require('events');
-var PlatformProvider, platformProvider, dtraceProbe;
+var span = require('./span');
+var Span = span.Span;
+var platformProvider, dtraceProbe, usdt;
 
 try {
   var PROBE_ARGUMENT_MAP = process.binding('dtrace').constants;
@@ -50,32 +52,258 @@ for (var argname in PROBE_ARGUMENT_MAP) {
 PROBE_ARGUMENT_MAP.INT = PROBE_ARGUMENT_MAP.INT64;
 PROBE_ARGUMENT_MAP.int = PROBE_ARGUMENT_MAP.INT64;
 
-var listenerCache = {};
+// Numbers beyond this lose precision, so int64 arguments are held to it.
+var MAX_SAFE_INTEGER = 0x1fffffffffffff;
+
+var INTEGER_RANGES = {};
+INTEGER_RANGES[PROBE_ARGUMENT_MAP.INT8] = [-0x80, 0x7f];
+INTEGER_RANGES[PROBE_ARGUMENT_MAP.UINT8] = [0, 0xff];
+INTEGER_RANGES[PROBE_ARGUMENT_MAP.INT16] = [-0x8000, 0x7fff];
+INTEGER_RANGES[PROBE_ARGUMENT_MAP.UINT16] = [0, 0xffff];
+INTEGER_RANGES[PROBE_ARGUMENT_MAP.INT32] = [-0x80000000, 0x7fffffff];
+INTEGER_RANGES[PROBE_ARGUMENT_MAP.UINT32] = [0, 0xffffffff];
+INTEGER_RANGES[PROBE_ARGUMENT_MAP.INT64] = [-MAX_SAFE_INTEGER,
+                                            MAX_SAFE_INTEGER];
+
+// Map a signature of type names (e.g. ['char *', 'int32']) onto the
+// numeric PROBE_ARGUMENT_MAP types, throwing on anything unknown.
+function mapSignature(signature) {
+  var mappedSignature = new Array(signature.length);
 
-function getListeners(namespace, module, probe) {
-  var callbacks = [];
+  for (var i = 0; i < signature.length; i++) {
+    var originalType = signature[i];
+    var mappedType = util.isString(originalType) ?
+        PROBE_ARGUMENT_MAP[originalType] : undefined;
 
-  Object.keys(listenerCache).forEach(function(namespaceKey) {
-    if (namespaceKey !== namespace && namespaceKey !== '*')
-      return;
+    if (!util.isNumber(mappedType))
+      throw new TypeError(util.format('%s is not a valid type', originalType));
 
-    namespace = listenerCache[namespaceKey];
+    mappedSignature[i] = mappedType;
+  }
 
-    Object.keys(namespace).forEach(function(moduleKey) {
-      if (moduleKey !== module && moduleKey !== '*')
-        return;
+  return mappedSignature;
+}
 
-      var m = namespace[moduleKey];
+function toJSONValue(value) {
+  if (value === undefined)
+    return null;
+  return JSON.parse(JSON.stringify(value));
+}
 
-      Object.keys(m).forEach(function(probeKey) {
-        if (probeKey !== probe && probeKey !== '*')
-          return;
+// Returns whether value is already a valid argument of the given type.
+function checkArgument(type, value) {
+  if (type === PROBE_ARGUMENT_MAP.STRING)
+    return util.isString(value);
 
-        Object.keys(m[probeKey]).forEach(function(funcKey) {
-          callbacks.push(m[probeKey][funcKey]);
-        });
-      });
-    });
+  if (type === PROBE_ARGUMENT_MAP.JSON) {
+    try {
+      return JSON.stringify(value) !== undefined;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  var range = INTEGER_RANGES[type];
+  return util.isNumber(value) &&
+         value % 1 === 0 &&
+         value >= range[0] &&
+         value <= range[1];
+}
+
+// Force value into the given type the way a C consumer would see it:
+// strings are stringified, JSON is serialized (and so copied), and
+// integers are truncated and clamped to the range of their type.
+function coerceArgument(type, value) {
+  if (type === PROBE_ARGUMENT_MAP.STRING)
+    return util.isNullOrUndefined(value) ? '' : String(value);
+
+  if (type === PROBE_ARGUMENT_MAP.JSON) {
+    try {
+      return toJSONValue(value);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  var range = INTEGER_RANGES[type];
+
+  value = Number(value);
+
+  if (value !== value)
+    return 0;
+
+  value = value < 0 ? Math.ceil(value) : Math.floor(value);
+
+  return Math.min(Math.max(value, range[0]), range[1]);
+}
+
+// Every subscription made through on(). Each entry keeps the patterns it
+// was registered with, the matchers compiled from them and its callbacks.
+var listenerCache = [];
+
+// Bumped whenever subscriptions or providers change. Probes cache the
+// listeners that match them and recompute only when this has moved on.
+var listenerGeneration = 0;
+
+function globToRegExp(glob) {
+  var source = '';
+
+  for (var i = 0; i < glob.length; i++) {
+    var c = glob[i];
+    if (c === '*')
+      source += '.*';
+    else if (c === '?')
+      source += '.';
+    else
+      source += c.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+  }
+
+  return new RegExp('^' + source + '$');
+}
+
+// A pattern is either an exact name, a glob where '*' matches any run of
+// characters and '?' any single one, or a RegExp.
+function compilePattern(pattern) {
+  if (util.isRegExp(pattern)) {
+    // search() ignores lastIndex, so /g and /y patterns behave too.
+    return function(name) {
+      return name.search(pattern) !== -1;
+    };
+  }
+
+  if (!util.isString(pattern))
+    throw new TypeError('pattern must be a string or a RegExp');
+
+  if (pattern === '*')
+    return function() { return true; };
+
+  if (!/[*?]/.test(pattern)) {
+    return function(name) {
+      return name === pattern;
+    };
+  }
+
+  var re = globToRegExp(pattern);
+  return function(name) {
+    return re.test(name);
+  };
+}
+
+function patternEqual(a, b) {
+  if (util.isRegExp(a) && util.isRegExp(b))
+    return a.toString() === b.toString();
+  return a === b;
+}
+
+// Subscriptions are given either as separate namespace, module and probe
+// patterns, or as the shorthand 'namespace:module:probe' where any of the
+// parts may be left off to match everything. A lone RegExp is matched
+// against the probe name.
+function parsePattern(args, length) {
+  if (length !== 1)
+    return [args[0], args[1], args[2]];
+
+  var pattern = args[0];
+
+  if (!util.isString(pattern))
+    return ['*', '*', pattern];
+
+  var parts = pattern.split(':');
+  return [parts[0] || '*', parts[1] || '*', parts.slice(2).join(':') || '*'];
+}
+
+// Pull the patterns, the callback and the options that may follow it out
+// of the arguments given to on(), removeListener() and friends.
+function parseListenerArgs(args) {
+  var length = args.length;
+  var cb, options;
+
+  if (length > 1 &&
+      util.isFunction(args[length - 2]) &&
+      util.isObject(args[length - 1]) &&
+      !util.isRegExp(args[length - 1]))
+    options = args[--length];
+
+  if (util.isFunction(args[length - 1]))
+    cb = args[--length];
+
+  var patterns = parsePattern(args, length);
+  patterns.push(cb, options);
+  return patterns;
+}
+
+// Decide which firings a subscription gets. Every `every`th firing is
+// considered, of those a `sampleRate` fraction is kept, and at most
+// `maxPerSecond` are let through, by a token bucket allowing bursts of up
+// to a second's worth.
+function Sampler(options) {
+  if (!(this instanceof Sampler))
+    return new Sampler(options);
+
+  this.every = options.every;
+  this.sampleRate = options.sampleRate;
+  this.maxPerSecond = options.maxPerSecond;
+
+  if (this.every !== undefined &&
+      !(this.every >= 1 && this.every % 1 === 0))
+    throw new RangeError('every must be a positive integer');
+
+  if (this.sampleRate !== undefined &&
+      !(this.sampleRate >= 0 && this.sampleRate <= 1))
+    throw new RangeError('sampleRate must be between 0 and 1');
+
+  if (this.maxPerSecond !== undefined && !(this.maxPerSecond > 0))
+    throw new RangeError('maxPerSecond must be a positive number');
+
+  this._count = 0;
+  this._tokens = this.maxPerSecond;
+  this._last = Date.now();
+}
+
+Sampler.prototype.take = function() {
+  if (this.every !== undefined && this._count++ % this.every !== 0)
+    return false;
+
+  if (this.sampleRate !== undefined && Math.random() >= this.sampleRate)
+    return false;
+
+  if (this.maxPerSecond !== undefined) {
+    var now = Date.now();
+    var max = this.maxPerSecond;
+    var refill = (now - this._last) * max / 1000;
+
+    this._tokens = Math.min(max, this._tokens + refill);
+    this._last = now;
+
+    if (this._tokens < 1)
+      return false;
+
+    this._tokens--;
+  }
+
+  return true;
+};
+
+function createSampler(options) {
+  if (!options ||
+      (options.every === undefined &&
+       options.sampleRate === undefined &&
+       options.maxPerSecond === undefined))
+    return null;
+
+  return new Sampler(options);
+}
+
+function getListeners(namespace, module, probe) {
+  var callbacks = [];
+
+  listenerCache.forEach(function(entry) {
+    if (!entry.namespace(namespace) ||
+        !entry.module(module) ||
+        !entry.probe(probe))
+      return;
+
+    callbacks.push.apply(callbacks, entry.callbacks);
   });
 
   return callbacks;
@@ -88,28 +316,118 @@ function Probe(provider, name, signature) {
   this.provider = provider;
   this.name = name;
   this.signature = signature;
+  this.types = mapSignature(signature);
   this.info = {
     namespace: provider.namespace,
     name: provider.name,
     probe: name
   };
+  this._listeners = null;
+  this._listenerGeneration = -1;
+  this._sampled = false;
+  // Firings kept from a listener by its sampling options.
+  this.dropped = 0;
 }
 
-Probe.prototype.fire = function(fargs, callback) {
-  this.provider._throwDisabled('fire', this.name);
+Probe.prototype._getListeners = function() {
+  if (this._listenerGeneration !== listenerGeneration) {
+    this._listeners = getListeners(this.info.namespace,
+                                   this.info.name,
+                                   this.name);
+    this._sampled = this._listeners.some(function(listener) {
+      return !!listener.sampler;
+    });
+    this._listenerGeneration = listenerGeneration;
+  }
+  return this._listeners;
+};
 
-  var info = this.info;
+// Check the marshalled arguments against the probe's signature. Strict
+// providers throw on a mismatch, those created with options.coerce get the
+// arguments coerced, and everyone else gets them exactly as marshalled.
+// Probes without a signature never have their arguments touched.
+Probe.prototype._checkArguments = function(args) {
+  var types = this.types;
+  var strict = this.provider.strict;
+
+  if ((!strict && !this.provider.coerce) || types.length === 0)
+    return args;
+
+  var ret = new Array(types.length);
+
+  if (!util.isArray(args))
+    args = [args];
+
+  if (strict && args.length !== types.length) {
+    throw new TypeError(util.format('Probe %s expects %d arguments, got %d',
+                                    this.provider._probeFormat(this.name),
+                                    types.length,
+                                    args.length));
+  }
+
+  for (var i = 0; i < types.length; i++) {
+    var value = args[i];
+
+    if (!strict) {
+      ret[i] = coerceArgument(types[i], value);
+      continue;
+    }
+
+    if (!checkArgument(types[i], value)) {
+      throw new TypeError(util.format('Argument %d of probe %s should be %s',
+                                      i,
+                                      this.provider._probeFormat(this.name),
+                                      PROBE_ARGUMENT_MAP[types[i]]));
+    }
+
+    ret[i] = types[i] === PROBE_ARGUMENT_MAP.JSON ? toJSONValue(value) : value;
+  }
+
+  return ret;
+};
 
-  var namespace = info.namespace;
-  var provider = info.name;
+// Whether the backend has a consumer for the probe. Backends that can
+// tell whether one is attached override this, the rest count their
+// binding as always listening.
+Probe.prototype._isBindingEnabled = function() {
+  return !!this.binding;
+};
 
-  var listeners = getListeners(namespace, provider, this.name);
+// Whether firing the probe would reach anyone, a JS listener or a consumer
+// of the backend. Lets callers skip building expensive arguments.
+Probe.prototype.isEnabled = function() {
+  return this.provider.enabled &&
+         (this._getListeners().length > 0 || this._isBindingEnabled());
+};
+
+Probe.prototype.fire = function(fargs, callback) {
+  this.provider._throwDisabled('fire', this.name);
+
+  var listeners = this._getListeners();
+  var binding = this._isBindingEnabled();
 
   // We have no one listening for this event don't marshal arguments
-  if (!this.binding && !listeners.length) {
+  if (!binding && !listeners.length) {
     return;
   }
 
+  // Sampled listeners are picked before marshalling, so the firings they
+  // skip cost next to nothing.
+  if (this._sampled) {
+    var all = listeners;
+    listeners = [];
+
+    for (var j = 0; j < all.length; j++) {
+      if (!all[j].sampler || all[j].sampler.take())
+        listeners.push(all[j]);
+      else
+        this.dropped++;
+    }
+
+    if (!binding && !listeners.length)
+      return;
+  }
+
   var args;
 
   if (!util.isFunction(callback)) {
@@ -127,9 +445,11 @@ Probe.prototype.fire = function(fargs, callback) {
   // provided marshalling callback once per firing, so cache those results.
   // event handlers could potentially muck with this array, and mess up
   // subsequent handlers, they shouldn't do that.
-  args = callback(fargs);
+  args = this._checkArguments(callback(fargs));
+
+  var info = this.info;
 
-  if (this.binding)
+  if (binding)
     this.binding(args);
 
   var i = 0;
@@ -146,19 +466,39 @@ function Provider(options) {
 
   this.namespace = options.namespace;
   this.name = options.name;
+  this.strict = !!options.strict;
+  this.coerce = !!options.coerce;
   this.enabled = false;
   this.probes = {};
 }
 
 Provider.prototype.enable = function() {
+  var changed = !this.enabled;
   this.enabled = true;
+  if (changed)
+    emitRegistry('enable', this);
 };
 
 Provider.prototype.disable = function() {
+  var changed = this.enabled;
   this.enabled = false;
+  if (changed)
+    emitRegistry('disable', this);
 };
 
 Provider.prototype._signatureEqual = function(a, b) {
+  if (a.length !== b.length)
+    return false;
+
+  // Compare the mapped types so aliases like 'char *' and 'string' match.
+  a = mapSignature(a);
+  b = mapSignature(b);
+
+  for (var i = 0; i < a.length; i++) {
+    if (a[i] !== b[i])
+      return false;
+  }
+
   return true;
 };
 
@@ -172,14 +512,16 @@ Provider.prototype._getProbe = function(name) {
 
 Provider.prototype._addProbe = function(probe) {
   this.probes[probe.name] = probe;
+  emitRegistry('probe-added', probe);
 };
 
 Provider.prototype._verifySignature = function(probe, signature) {
-  // TODO(tjfontaine) should this be deferred until enable()?
-  if (this.enabled && probe &&
-      !this._signatureEqual(probe.signature, signature)) {
-    var msg = 'Probe %s:%s enabled with signature %j, new signature: %j';
-    msg = util.format(msg, this.name, name, probe.signature, signature);
+  if (probe && !this._signatureEqual(probe.signature, signature)) {
+    var msg = 'Probe %s added with signature %j, new signature: %j';
+    msg = util.format(msg,
+                      this._probeFormat(probe.name),
+                      probe.signature,
+                      signature);
     throw new Error(msg);
   }
 };
@@ -193,16 +535,37 @@ Provider.prototype.addProbe = function(name, signature/*[, arg2, arg3]*/) {
   this._verifySignature(probe, signature);
 
   if (!probe) {
-    probe = new Probe(this, name, signature);
+    probe = new this._Probe(this, name, signature);
     this._addProbe(probe);
   }
 
   return probe;
 };
 
+// The probe class addProbe() creates, see registerBackend().
+Provider.prototype._Probe = Probe;
+
 Provider.prototype.removeProbe = function(name) {
   this._throwDisabled('remove', name);
+  this._removeProbe(name);
+};
+
+// Drop the probe without checking the provider is enabled. Backends
+// release whatever they hold for it here. Unknown names are ignored.
+Provider.prototype._removeProbe = function(name) {
+  var probe = this.probes[name];
+
+  if (!probe)
+    return;
+
   delete this.probes[name];
+  emitRegistry('probe-removed', probe);
+};
+
+// Disable the provider and remove all of its probes, see destroyProvider().
+Provider.prototype.destroy = function() {
+  this.disable();
+  Object.keys(this.probes).forEach(this._removeProbe, this);
 };
 
 Provider.prototype._throwDisabled = function(action, name) {
@@ -215,6 +578,31 @@ Provider.prototype._throwDisabled = function(action, name) {
   return true;
 };
 
+// Add the probes of the span named name, see span.js. Backends that only
+// see probes added before enable() need their spans added up front too.
+Provider.prototype.addSpan = function(name) {
+  if (!util.isString(name))
+    throw new TypeError('span name must be a string');
+
+  if (!this._canAddSpan(name)) {
+    var msg = util.format('Cannot add span %s while enabled, ' +
+                          'add it before enable()',
+                          this._probeFormat(name));
+    throw new Error(msg);
+  }
+
+  return span.addProbes(this, name);
+};
+
+Provider.prototype._canAddSpan = function(name) {
+  return true;
+};
+
+// Start a span named name, adding its probes if need be.
+Provider.prototype.createSpan = function(name, attrs) {
+  return new Span(this, name, attrs);
+};
+
 Provider.prototype.fire = function(name, fargs, callback) {
   var probe = this.probes[name];
 
@@ -238,29 +626,13 @@ StaticProvider.prototype.addProbe = function(name, signature, binding) {
   return probe;
 };
 
-StaticProvider.prototype.enable = function() {
-  this.enabled = true;
-};
-
 function DTraceProbe(provider, name, signature, handle) {
   if (!(this instanceof DTraceProbe))
     return new DTraceProbe(provider, name, signature, handle);
 
   Probe.call(this, provider, name, signature);
 
-  var mappedSignature = new Array(signature.length);
-
-  for (var i = 0; i < signature.length; i++) {
-    var originalType = signature[i];
-    var mappedType = PROBE_ARGUMENT_MAP[originalType];
-
-    if (!mappedType)
-      throw new TypeError(util.format('%s is not a valid type', originalType));
-
-    mappedSignature[i] = mappedType;
-  }
-
-  this.dprobe = new dtraceProbe(name, mappedSignature);
+  this.dprobe = new dtraceProbe(name, this.types);
   handle.addProbe(this.dprobe);
 }
 util.inherits(DTraceProbe, Probe);
@@ -269,6 +641,16 @@ DTraceProbe.prototype.binding = function(args) {
   this.dprobe.fire(args);
 };
 
+// Older bindings cannot tell whether a D script enabled the probe.
+DTraceProbe.prototype._isBindingEnabled = function() {
+  var dprobe = this.dprobe;
+
+  if (!dprobe)
+    return false;
+
+  return util.isFunction(dprobe.isEnabled) ? !!dprobe.isEnabled() : true;
+};
+
 function DTraceProvider(options) {
   Provider.call(this, options);
 
@@ -284,22 +666,33 @@ DTraceProvider.prototype.addProbe = function(name, signature) {
 
   this._verifySignature(probe, signature);
 
-  var probe = new DTraceProbe(this, name, signature, this._handle);
-
-  this._addProbe(probe);
+  if (!probe) {
+    probe = new DTraceProbe(this, name, signature, this._handle);
+    this._addProbe(probe);
+  }
 
   return probe;
 };
 
-DTraceProvider.prototype.removeProbe = function(name) {
+// Probes added after enable() are not visible to DTrace, and enabling the
+// provider again would drop what running D scripts enabled on it.
+DTraceProvider.prototype._canAddSpan = function(name) {
+  return !this.enabled ||
+         !!(this.probes[name + '-start'] && this.probes[name + '-done']);
+};
+
+DTraceProvider.prototype._removeProbe = function(name) {
   var probe = this.probes[name];
 
+  if (!probe)
+    return;
+
   probe.binding = null;
   var dprobe = probe.dprobe;
   delete probe.dprobe;
   this._handle.removeProbe(dprobe);
 
-  Provider.prototype.removeProbe.call(this, name);
+  Provider.prototype._removeProbe.call(this, name);
 };
 
 DTraceProvider.prototype.enable = function() {
@@ -312,17 +705,192 @@ DTraceProvider.prototype.disable = function() {
   return this._handle.disable();
 };
 
+// USDT, for perf, bpftrace and SystemTap on Linux. This needs the optional
+// usdt module, which builds an ELF stub with the probes through libstapsdt
+// and loads it into the process. A USDT provider has no module, so the
+// stub is named namespace_name, e.g. myapp_db, with anything that is not a
+// letter, digit or underscore replaced. Probe names are kept as is.
+//
+// libstapsdt probes take at most six integer or string arguments. JSON
+// arguments are passed serialized.
+var USDT_MAX_ARGUMENTS = 6;
+
+// The type names usdt's addProbe() is given for each argument type. These,
+// and isEnabled() on its probes, are only checked against the stand-in in
+// test/fixtures/usdt so far, not against a released usdt module, which is
+// why a probe without isEnabled() is taken to be enabled.
+var USDT_TYPES = {};
+USDT_TYPES[PROBE_ARGUMENT_MAP.STRING] = 'char *';
+USDT_TYPES[PROBE_ARGUMENT_MAP.JSON] = 'char *';
+USDT_TYPES[PROBE_ARGUMENT_MAP.INT64] = 'int64_t';
+USDT_TYPES[PROBE_ARGUMENT_MAP.UINT32] = 'uint32_t';
+USDT_TYPES[PROBE_ARGUMENT_MAP.INT32] = 'int32_t';
+USDT_TYPES[PROBE_ARGUMENT_MAP.UINT16] = 'uint16_t';
+USDT_TYPES[PROBE_ARGUMENT_MAP.INT16] = 'int16_t';
+USDT_TYPES[PROBE_ARGUMENT_MAP.UINT8] = 'uint8_t';
+USDT_TYPES[PROBE_ARGUMENT_MAP.INT8] = 'int8_t';
+
+function USDTProbe(provider, name, signature) {
+  if (!(this instanceof USDTProbe))
+    return new USDTProbe(provider, name, signature);
+
+  Probe.call(this, provider, name, signature);
+
+  if (this.types.length > USDT_MAX_ARGUMENTS) {
+    throw new RangeError(util.format('Probe %s has %d arguments, USDT ' +
+                                     'probes take at most %d',
+                                     provider._probeFormat(name),
+                                     this.types.length,
+                                     USDT_MAX_ARGUMENTS));
+  }
+
+  this.uprobe = null;
+}
+util.inherits(USDTProbe, Probe);
+
+// Add the probe to the libstapsdt provider handle.
+USDTProbe.prototype._attach = function(handle) {
+  var types = this.types.map(function(type) {
+    return USDT_TYPES[type];
+  });
+
+  this.uprobe = handle.addProbe.apply(handle, [this.name].concat(types));
+};
+
+// libstapsdt sets a semaphore once perf, bpftrace or SystemTap attach.
+USDTProbe.prototype._isBindingEnabled = function() {
+  var uprobe = this.uprobe;
+
+  if (!uprobe)
+    return false;
+
+  return util.isFunction(uprobe.isEnabled) ? !!uprobe.isEnabled() : true;
+};
+
+USDTProbe.prototype.binding = function(args) {
+  var types = this.types;
+
+  if (!this.uprobe)
+    return;
+
+  // The same arguments go on to the JS listeners afterwards.
+  args = util.isArray(args) ? args.slice() : [args];
+
+  for (var i = 0; i < types.length; i++) {
+    if (types[i] === PROBE_ARGUMENT_MAP.JSON)
+      args[i] = JSON.stringify(args[i]);
+  }
+
+  this.uprobe.fire(function() {
+    return args;
+  });
+};
+
+function usdtProviderName(provider) {
+  var name = provider.namespace + '_' + provider.name;
+  return name.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+function USDTProvider(options) {
+  Provider.call(this, options);
+
+  this._handle = new usdt.USDTProvider(usdtProviderName(this));
+}
+util.inherits(USDTProvider, Provider);
+
+// libstapsdt can neither add probes to nor remove them from a loaded stub,
+// so changing the probes of an enabled provider builds a new one.
+USDTProvider.prototype._rebuild = function() {
+  var probes = this.probes;
+
+  this._handle.disable();
+  this._handle = new usdt.USDTProvider(usdtProviderName(this));
+
+  Object.keys(probes).forEach(function(name) {
+    probes[name]._attach(this._handle);
+  }, this);
+
+  this._handle.enable();
+};
+
+USDTProvider.prototype.addProbe = function(name, signature) {
+  var probe = this._getProbe(name);
+
+  if (!util.isArray(signature))
+    signature = Array.prototype.slice.call(arguments, 1);
+
+  this._verifySignature(probe, signature);
+
+  if (!probe) {
+    probe = new USDTProbe(this, name, signature);
+    this._addProbe(probe);
+
+    if (this.enabled)
+      this._rebuild();
+    else
+      probe._attach(this._handle);
+  }
+
+  return probe;
+};
+
+USDTProvider.prototype._removeProbe = function(name) {
+  var probe = this.probes[name];
+
+  if (!probe)
+    return;
+
+  Provider.prototype._removeProbe.call(this, name);
+
+  probe.uprobe = null;
+  if (this.enabled)
+    this._rebuild();
+};
+
+USDTProvider.prototype.enable = function() {
+  Provider.prototype.enable.call(this);
+  return this._handle.enable();
+};
+
+USDTProvider.prototype.disable = function() {
+  Provider.prototype.disable.call(this);
+  return this._handle.disable();
+};
+
 var namespaces = {};
 
+// Changes to the registry are announced on this: 'provider' for every
+// provider created, 'probe-added' and 'probe-removed' with the probe,
+// 'enable' and 'disable' with the provider.
+var registry = exports.registry = new EventEmitter();
+
+// Only providers in the registry are announced, not the ones a fan-out
+// provider keeps for itself.
+function emitRegistry(event, subject) {
+  var provider = subject instanceof Provider ? subject : subject.provider;
+  var providers = namespaces[provider.namespace];
+
+  if (providers && providers[provider.name] === provider)
+    registry.emit(event, subject);
+}
+
 function _registerProvider(provider) {
   var providers = namespaces[provider.namespace];
 
   if (!providers)
     providers = namespaces[provider.namespace] = {};
 
-  delete providers[provider.name];
+  var existing = providers[provider.name];
+
+  // Whatever is replaced has to let go of its probes.
+  if (existing && existing !== provider)
+    existing.destroy();
 
   providers[provider.name] = provider;
+
+  listenerGeneration++;
+
+  emitRegistry('provider', provider);
 }
 
 function _makeProviderOptions(options) {
@@ -335,21 +903,197 @@ function _makeProviderOptions(options) {
   return options;
 }
 
-exports.createProvider = function(options) {
-  if (!PlatformProvider) {
-    if (process.config.variables.node_use_dtrace) {
-      try {
-        platformProvider = process.binding('dtrace_provider').DTraceProvider;
-        dtraceProbe = process.binding('dtrace_provider').DTraceProbe;
-        PlatformProvider = DTraceProvider;
-      } catch(e) {
-        PlatformProvider = Provider;
-      }
-    } else {
-      PlatformProvider = Provider;
+// Fan the probes of one provider out to the providers of several backends.
+// Only the fan-out provider is registered and fires JS listeners, the
+// children just contribute their bindings.
+function FanoutProbe(provider, name, signature, children) {
+  if (!(this instanceof FanoutProbe))
+    return new FanoutProbe(provider, name, signature, children);
+
+  Probe.call(this, provider, name, signature);
+
+  this.children = children.filter(function(child) {
+    return util.isFunction(child.binding);
+  });
+
+  if (!this.children.length)
+    this.binding = null;
+}
+util.inherits(FanoutProbe, Probe);
+
+FanoutProbe.prototype._isBindingEnabled = function() {
+  return this.children.some(function(child) {
+    return child._isBindingEnabled();
+  });
+};
+
+FanoutProbe.prototype.binding = function(args) {
+  for (var i = 0; i < this.children.length; i++) {
+    if (this.children[i]._isBindingEnabled())
+      this.children[i].binding(util.isArray(args) ? args.slice() : args);
+  }
+};
+
+function FanoutProvider(options, backends) {
+  Provider.call(this, options);
+
+  this.children = backends.map(function(backend) {
+    return new backend.Provider(options);
+  });
+}
+util.inherits(FanoutProvider, Provider);
+
+FanoutProvider.prototype.addProbe = function(name, signature) {
+  var probe = this._getProbe(name);
+
+  if (!util.isArray(signature))
+    signature = Array.prototype.slice.call(arguments, 1);
+
+  this._verifySignature(probe, signature);
+
+  if (!probe) {
+    var children = this.children.map(function(child) {
+      return child.addProbe(name, signature);
+    });
+    probe = new FanoutProbe(this, name, signature, children);
+    this._addProbe(probe);
+  }
+
+  return probe;
+};
+
+FanoutProvider.prototype._canAddSpan = function(name) {
+  return this.children.every(function(child) {
+    return child._canAddSpan(name);
+  });
+};
+
+FanoutProvider.prototype._removeProbe = function(name) {
+  Provider.prototype._removeProbe.call(this, name);
+
+  this.children.forEach(function(child) {
+    child._removeProbe(name);
+  });
+};
+
+FanoutProvider.prototype.enable = function() {
+  Provider.prototype.enable.call(this);
+
+  this.children.forEach(function(child) {
+    child.enable();
+  });
+};
+
+FanoutProvider.prototype.disable = function() {
+  Provider.prototype.disable.call(this);
+
+  this.children.forEach(function(child) {
+    child.disable();
+  });
+};
+
+// Backends build on these.
+exports.Provider = Provider;
+exports.Probe = Probe;
+
+var backends = {};
+
+// Backends tried, in order, for providers created without options.backend.
+var defaultBackends = ['dtrace', 'usdt', 'js'];
+
+// Make a backend available to createProvider({ backend: name }).
+// backend.Provider is the provider class, or backend.Probe the probe class
+// for a plain Provider to create. backend.isAvailable() is asked once,
+// the first time the backend is used.
+exports.registerBackend = function(name, backend) {
+  if (!util.isString(name))
+    throw new TypeError('name must be a string');
+
+  if (!util.isObject(backend) ||
+      !(util.isFunction(backend.Provider) || util.isFunction(backend.Probe)))
+    throw new TypeError('backend needs a Provider or Probe constructor');
+
+  var BackendProvider = backend.Provider;
+
+  if (!BackendProvider) {
+    BackendProvider = function(options) {
+      Provider.call(this, options);
+    };
+    util.inherits(BackendProvider, Provider);
+    BackendProvider.prototype._Probe = backend.Probe;
+  }
+
+  backends[name] = {
+    name: name,
+    Provider: BackendProvider,
+    Probe: backend.Probe,
+    isAvailable: backend.isAvailable,
+    available: undefined
+  };
+};
+
+function isBackendAvailable(backend) {
+  if (util.isUndefined(backend.available)) {
+    try {
+      backend.available = !backend.isAvailable || !!backend.isAvailable();
+    } catch (e) {
+      backend.available = false;
     }
   }
+  return backend.available;
+}
+
+function getBackend(name) {
+  var backend = backends[name];
+
+  if (!backend)
+    throw new Error(util.format('Unknown backend %s', name));
+
+  if (!isBackendAvailable(backend))
+    throw new Error(util.format('Backend %s is not available', name));
+
+  return backend;
+}
+
+function getDefaultBackend() {
+  for (var i = 0; i < defaultBackends.length; i++) {
+    var backend = backends[defaultBackends[i]];
+    if (backend && isBackendAvailable(backend))
+      return backend;
+  }
+}
 
+exports.registerBackend('js', {
+  Provider: Provider,
+  Probe: Probe
+});
+
+exports.registerBackend('dtrace', {
+  Provider: DTraceProvider,
+  Probe: DTraceProbe,
+  isAvailable: function() {
+    if (!process.config.variables.node_use_dtrace)
+      return false;
+    platformProvider = process.binding('dtrace_provider').DTraceProvider;
+    dtraceProbe = process.binding('dtrace_provider').DTraceProbe;
+    return true;
+  }
+});
+
+exports.registerBackend('usdt', {
+  Provider: USDTProvider,
+  Probe: USDTProbe,
+  isAvailable: function() {
+    if (process.platform !== 'linux')
+      return false;
+    usdt = require('usdt');
+    return true;
+  }
+});
+
+// options.backend picks the backend by name, or several at once from an
+// array. Without it the first available of dtrace, usdt and js is used.
+exports.createProvider = function(options) {
   options = _makeProviderOptions(options);
 
   if (options.namespace === 'node') {
@@ -360,14 +1104,77 @@ exports.createProvider = function(options) {
 
   var m = exports.getProvider(options);
 
+  if (m)
+    return m;
+
+  var backend = options.backend;
+
+  if (util.isArray(backend)) {
+    m = new FanoutProvider(options, backend.map(getBackend));
+  } else {
+    backend = util.isUndefined(backend) ?
+        getDefaultBackend() : getBackend(backend);
+    m = new backend.Provider(options);
+  }
+
+  _registerProvider(m);
+
+  return m;
+};
+
+// Create the provider name in the reserved node namespace, or return it if
+// it already exists. Only meant for the providers bundled with this module,
+// which are enabled from the start.
+exports._createStaticProvider = function(name) {
+  var m = exports.getProvider({ namespace: 'node', name: name });
+
   if (!m) {
-    m = new PlatformProvider(options);
+    m = new StaticProvider(name);
     _registerProvider(m);
+    m.enable();
   }
 
   return m;
 };
 
+// Disable the provider, remove all of its probes and take it out of the
+// registry. Listeners subscribed to exactly this provider, without
+// patterns, go with it. Returns whether there was a provider to destroy.
+exports.destroyProvider = function(options) {
+  options = _makeProviderOptions(options);
+
+  if (options.namespace === 'node') {
+    throw new Error(util.format(
+        'Cannot destroy provider %s in the node namespace',
+        options.name));
+  }
+
+  var provider = exports.getProvider(options);
+
+  if (!provider)
+    return false;
+
+  provider.destroy();
+
+  var providers = namespaces[provider.namespace];
+  delete providers[provider.name];
+
+  if (Object.keys(providers).length === 0)
+    delete namespaces[provider.namespace];
+
+  listenerCache = listenerCache.filter(function(entry) {
+    return entry.patterns[0] !== provider.namespace ||
+           entry.patterns[1] !== provider.name;
+  });
+
+  listenerGeneration++;
+
+  return true;
+};
+
+exports.getCurrentSpan = span.getCurrentSpan;
+exports.enableSpans = span.enable;
+
 exports.getProvider = function(options) {
   options = _makeProviderOptions(options);
 
@@ -390,26 +1197,165 @@ exports.list = function() {
         var p = ps[probe] = {};
         probe = provider.probes[probe];
         p.signature = probe.signature;
+        p.enabled = probe.isEnabled();
+        p.listeners = probe._getListeners().length;
+        p.dropped = probe.dropped;
       });
     });
   });
   return ret;
 };
 
+function findListenerEntry(namespace, module, probe) {
+  for (var i = 0; i < listenerCache.length; i++) {
+    var entry = listenerCache[i];
+    if (patternEqual(entry.patterns[0], namespace) &&
+        patternEqual(entry.patterns[1], module) &&
+        patternEqual(entry.patterns[2], probe))
+      return entry;
+  }
+}
+
 function getListenerCache(namespace, module, probe) {
-  var lNamespace = listenerCache[namespace] = listenerCache[namespace] || {};
-  var lModule = lNamespace[module] = lNamespace[module] || {};
-  var lCb = lModule[probe] = lModule[probe] || {};
-  return lCb;
+  var entry = findListenerEntry(namespace, module, probe);
+
+  if (!entry) {
+    entry = {
+      patterns: [namespace, module, probe],
+      namespace: compilePattern(namespace),
+      module: compilePattern(module),
+      probe: compilePattern(probe),
+      callbacks: []
+    };
+    listenerCache.push(entry);
+  }
+
+  return entry.callbacks;
 }
 
-exports.on = function(namespace, module, probe, cb) {
-  var lCb = getListenerCache(namespace, module, probe)[cb] = cb;
-};
+function addListener(namespace, module, probe, cb) {
+  if (!util.isFunction(cb))
+    throw new TypeError('listener must be a function');
 
-exports.removeListener = function(module, probe, cb) {
   var lCb = getListenerCache(namespace, module, probe);
 
-  if (lCb)
-    delete lCb[cb];
+  // Callbacks are held by identity, so a function only subscribes once per
+  // pattern but distinct closures never clobber each other. A wrapper
+  // carrying sampling options counts as the function it wraps, and the
+  // latest subscription's options replace those of the one before. once()
+  // subscriptions are always added, like EventEmitter's.
+  var i = cb.once ? -1 : indexOfListener(lCb, cb.listener || cb);
+
+  if (i === -1)
+    lCb.push(cb);
+  else
+    lCb[i] = cb;
+
+  listenerGeneration++;
+}
+
+function indexOfListener(lCb, listener) {
+  for (var i = 0; i < lCb.length; i++) {
+    if (!lCb[i].once && (lCb[i].listener || lCb[i]) === listener)
+      return i;
+  }
+  return -1;
+}
+
+function removeListener(namespace, module, probe, cb) {
+  if (!util.isFunction(cb))
+    throw new TypeError('listener must be a function');
+
+  var entry = findListenerEntry(namespace, module, probe);
+
+  if (!entry)
+    return;
+
+  var lCb = entry.callbacks;
+
+  for (var i = 0; i < lCb.length; i++) {
+    if (lCb[i] === cb || lCb[i].listener === cb) {
+      lCb.splice(i, 1);
+      break;
+    }
+  }
+
+  if (lCb.length === 0)
+    listenerCache.splice(listenerCache.indexOf(entry), 1);
+
+  listenerGeneration++;
+}
+
+// A trailing options object limits the firings the listener gets, see
+// Sampler. Firings it skips are counted in the probe's dropped counter.
+exports.on = function(namespace, module, probe, cb, options) {
+  var args = parseListenerArgs(arguments);
+  var listener = args[3];
+  var sampler = createSampler(args[4]);
+
+  if (!sampler || !util.isFunction(listener)) {
+    addListener(args[0], args[1], args[2], listener);
+    return;
+  }
+
+  function sampled(fargs, info) {
+    listener(fargs, info);
+  }
+  sampled.listener = listener;
+  sampled.sampler = sampler;
+
+  addListener(args[0], args[1], args[2], sampled);
+};
+
+exports.once = function(namespace, module, probe, cb, options) {
+  var args = parseListenerArgs(arguments);
+  var listener = args[3];
+
+  if (!util.isFunction(listener))
+    throw new TypeError('listener must be a function');
+
+  var fired = false;
+
+  function g(fargs, info) {
+    removeListener(args[0], args[1], args[2], g);
+
+    if (!fired) {
+      fired = true;
+      listener(fargs, info);
+    }
+  }
+  g.listener = listener;
+  g.sampler = createSampler(args[4]);
+  g.once = true;
+
+  addListener(args[0], args[1], args[2], g);
+};
+
+exports.removeListener = function(namespace, module, probe, cb) {
+  var args = parseListenerArgs(arguments);
+  removeListener(args[0], args[1], args[2], args[3]);
+};
+
+// Drop every subscription whose patterns are matched by the given ones,
+// so removeAllListeners('myapp') clears everything registered under the
+// myapp namespace. With no arguments all subscriptions are removed.
+exports.removeAllListeners = function(namespace, module, probe) {
+  if (arguments.length === 0) {
+    listenerCache.length = 0;
+    listenerGeneration++;
+    return;
+  }
+
+  var patterns = parsePattern(arguments, arguments.length);
+  var matchers = patterns.map(function(pattern) {
+    return compilePattern(pattern === undefined ? '*' : pattern);
+  });
+
+  listenerCache = listenerCache.filter(function(entry) {
+    return !entry.patterns.every(function(pattern, i) {
+      return matchers[i](String(pattern));
+    });
+  });
+
+  listenerGeneration++;
 };
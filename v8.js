@@ -19,7 +19,9 @@
 // OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
 // USE OR OTHER DEALINGS IN THE SOFTWARE.
 
+var util = require('util');
 var EventEmitter = require('events');
+var Histogram = require('./histogram').Histogram;
 var v8binding = process.binding('v8');
 
 var v8 = exports.v8 = new EventEmitter();
@@ -34,6 +36,9 @@ v8.on('newListener', function(name) {
   if (name === 'gc' && EventEmitter.listenerCount(this, name) === 0) {
     v8binding.startGarbageCollectionTracking(emitGC);
   }
+  if (name === 'pressure' && EventEmitter.listenerCount(this, name) === 0) {
+    startPressureTracking();
+  }
 });
 
 
@@ -41,7 +46,347 @@ v8.on('removeListener', function(name) {
   if (name === 'gc' && EventEmitter.listenerCount(this, name) === 0) {
     v8binding.stopGarbageCollectionTracking();
   }
+  if (name === 'pressure' && EventEmitter.listenerCount(this, name) === 0) {
+    stopPressureTracking();
+  }
 });
 
 
 v8.getHeapStatistics = v8binding.getHeapStatistics;
+
+
+// Heap pressure is the used heap as a fraction of heap_size_limit. While
+// anyone listens for 'pressure' it is checked on an interval and after
+// every collection, and an event is emitted whenever it crosses one of the
+// thresholds. To keep from flapping around a threshold, the level only
+// drops back once usage is hysteresis below it.
+var pressure = {
+  thresholds: [0.7, 0.85, 0.95],
+  hysteresis: 0.05,
+  interval: 1000,
+  // Number of thresholds currently exceeded.
+  level: 0,
+  timer: null,
+  last: null
+};
+
+
+function checkPressure() {
+  var stats = v8.getHeapStatistics();
+  var used = stats.used_heap_size;
+  var limit = stats.heap_size_limit;
+  var ratio = used / limit;
+  var thresholds = pressure.thresholds;
+  var previous = pressure.level;
+  var level = previous;
+  var now = Date.now();
+  var last = pressure.last;
+  // Bytes per second since the last check.
+  var trend = 0;
+
+  if (last && now > last.timestamp)
+    trend = (used - last.used) / ((now - last.timestamp) / 1000);
+
+  pressure.last = { timestamp: now, used: used };
+
+  while (level < thresholds.length && ratio >= thresholds[level])
+    level++;
+
+  while (level > 0 && ratio < thresholds[level - 1] - pressure.hysteresis)
+    level--;
+
+  if (level === previous)
+    return;
+
+  pressure.level = level;
+
+  v8.emit('pressure', {
+    level: level,
+    previous: previous,
+    direction: level > previous ? 'up' : 'down',
+    threshold: level > 0 ? thresholds[level - 1] : 0,
+    used: used,
+    limit: limit,
+    ratio: ratio,
+    trend: trend
+  });
+}
+
+
+function startPressureTracking() {
+  pressure.level = 0;
+  pressure.last = null;
+  pressure.timer = setInterval(checkPressure, pressure.interval);
+  if (pressure.timer.unref)
+    pressure.timer.unref();
+  v8.on('gc', checkPressure);
+}
+
+
+function stopPressureTracking() {
+  clearInterval(pressure.timer);
+  pressure.timer = null;
+  v8.removeListener('gc', checkPressure);
+}
+
+
+// Set the fractions of heap_size_limit that 'pressure' events fire at.
+// options.hysteresis is how far below a threshold usage has to fall before
+// the level drops, options.interval how often usage is checked, in ms.
+v8.setHeapPressureThresholds = function(thresholds, options) {
+  options = options || {};
+
+  if (!util.isArray(thresholds) || thresholds.length === 0)
+    throw new TypeError('thresholds must be a non-empty array');
+
+  for (var i = 0; i < thresholds.length; i++) {
+    if (!(thresholds[i] > 0 && thresholds[i] <= 1) ||
+        (i > 0 && thresholds[i] <= thresholds[i - 1]))
+      throw new RangeError('thresholds must be ascending fractions of 1');
+  }
+
+  pressure.thresholds = thresholds.slice();
+
+  if (options.hysteresis !== undefined)
+    pressure.hysteresis = options.hysteresis;
+
+  if (options.interval !== undefined)
+    pressure.interval = options.interval;
+
+  // Start over with the new settings if already running.
+  if (pressure.timer) {
+    stopPressureTracking();
+    startPressureTracking();
+  }
+};
+
+
+// Timestamps on gc events come from uv_hrtime(), in nanoseconds.
+var NS_PER_MS = 1e6;
+var NS_PER_US = 1e3;
+
+
+// Aggregate pause times and reclaimed memory from the gc event. All times
+// are reported in milliseconds.
+function GCStats() {
+  if (!(this instanceof GCStats))
+    return new GCStats();
+
+  this._ongc = this._ongc.bind(this);
+  this.reset();
+  v8.on('gc', this._ongc);
+}
+
+
+GCStats.prototype.reset = function() {
+  this.count = 0;
+  this.totalPause = 0;
+  this.maxPause = 0;
+  // Pauses are recorded in microseconds so short scavenges still land in
+  // distinct buckets.
+  this.pauses = new Histogram();
+  this.types = {};
+};
+
+
+GCStats.prototype._ongc = function(before, after) {
+  var pause = (after.timestamp - before.timestamp) / NS_PER_MS;
+  var reclaimed = before.used_heap_size - after.used_heap_size;
+  var type = this.types[before.type];
+
+  if (!type) {
+    type = this.types[before.type] = {
+      count: 0,
+      totalPause: 0,
+      maxPause: 0,
+      reclaimed: 0
+    };
+  }
+
+  this.count++;
+  this.totalPause += pause;
+  this.maxPause = Math.max(this.maxPause, pause);
+  this.pauses.record(pause * NS_PER_MS / NS_PER_US);
+
+  type.count++;
+  type.totalPause += pause;
+  type.maxPause = Math.max(type.maxPause, pause);
+  type.reclaimed += reclaimed;
+};
+
+
+// Stop listening for gc events, and so stop tracking them altogether if
+// nothing else is listening.
+GCStats.prototype.stop = function() {
+  v8.removeListener('gc', this._ongc);
+};
+
+
+GCStats.prototype.toJSON = function() {
+  var pauses = this.pauses.toJSON();
+  var msPerUs = NS_PER_US / NS_PER_MS;
+
+  return {
+    count: this.count,
+    totalPause: this.totalPause,
+    maxPause: this.maxPause,
+    meanPause: pauses.mean * msPerUs,
+    p50: pauses.p50 * msPerUs,
+    p90: pauses.p90 * msPerUs,
+    p99: pauses.p99 * msPerUs,
+    types: this.types
+  };
+};
+
+
+v8.createGCStats = function() {
+  return new GCStats();
+};
+
+
+// Sample getHeapStatistics() into a bounded series, on an interval and
+// right after every full collection. Those post-GC samples are marked as
+// baselines, since they show what is actually still alive. If the used
+// heap of the last `window` baselines keeps growing, a 'leak-suspect'
+// event is emitted with the growth rate in bytes per second.
+function HeapSampler(options) {
+  if (!(this instanceof HeapSampler))
+    return new HeapSampler(options);
+
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  this.interval = options.interval === undefined ? 5000 : options.interval;
+  this.size = options.size === undefined ? 720 : options.size;
+  this.window = options.window === undefined ? 5 : options.window;
+  // Slower growth than this, in bytes per second, is not reported.
+  this.threshold = options.threshold === undefined ? 0 : options.threshold;
+
+  if (this.window < 2)
+    throw new RangeError('window must be at least 2');
+
+  this.samples = [];
+  this._baselines = [];
+  this._timer = null;
+  this._ongc = this._ongc.bind(this);
+
+  this.start();
+}
+util.inherits(HeapSampler, EventEmitter);
+
+
+HeapSampler.prototype.start = function() {
+  if (this._timer)
+    return;
+
+  this._timer = setInterval(this.sample.bind(this, false), this.interval);
+  // Sampling alone should not keep the process running.
+  if (this._timer.unref)
+    this._timer.unref();
+
+  v8.on('gc', this._ongc);
+};
+
+
+HeapSampler.prototype.stop = function() {
+  if (!this._timer)
+    return;
+
+  clearInterval(this._timer);
+  this._timer = null;
+
+  v8.removeListener('gc', this._ongc);
+};
+
+
+HeapSampler.prototype._ongc = function(before, after) {
+  if (after.type === 'mark-sweep-compact')
+    this.sample(true);
+};
+
+
+HeapSampler.prototype.sample = function(baseline) {
+  var stats = v8.getHeapStatistics();
+  var sample = {
+    timestamp: Date.now(),
+    baseline: !!baseline
+  };
+
+  for (var key in stats)
+    sample[key] = stats[key];
+
+  this.samples.push(sample);
+  if (this.samples.length > this.size)
+    this.samples.shift();
+
+  this.emit('sample', sample);
+
+  if (sample.baseline)
+    this._addBaseline(sample);
+
+  return sample;
+};
+
+
+HeapSampler.prototype._addBaseline = function(sample) {
+  var baselines = this._baselines;
+
+  baselines.push(sample);
+  if (baselines.length > this.window)
+    baselines.shift();
+
+  if (baselines.length < this.window)
+    return;
+
+  for (var i = 1; i < baselines.length; i++) {
+    if (baselines[i].used_heap_size <= baselines[i - 1].used_heap_size)
+      return;
+  }
+
+  var slope = growthRate(baselines);
+
+  if (slope <= this.threshold)
+    return;
+
+  // Start over, so a steady leak is reported once per window rather than
+  // after every following collection.
+  this._baselines = [];
+
+  this.emit('leak-suspect', {
+    slope: slope,
+    window: this.window,
+    samples: baselines
+  });
+};
+
+
+// Least squares slope of used_heap_size over time, in bytes per second.
+function growthRate(samples) {
+  var n = samples.length;
+  var t0 = samples[0].timestamp;
+  var sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+  var i, x, y;
+
+  for (i = 0; i < n; i++) {
+    x = (samples[i].timestamp - t0) / 1000;
+    y = samples[i].used_heap_size;
+    sumX += x;
+    sumY += y;
+    sumXY += x * y;
+    sumXX += x * x;
+  }
+
+  var denominator = n * sumXX - sumX * sumX;
+
+  // All samples taken in the same millisecond, so there is no rate.
+  if (denominator === 0)
+    return 0;
+
+  return (n * sumXY - sumX * sumY) / denominator;
+}
+
+
+v8.createHeapSampler = function(options) {
+  return new HeapSampler(options);
+};